@@ -1,12 +1,19 @@
 /**
  * Background Service Worker
- * Single owner of SettingsManager and TemplateManager.
+ * Single owner of SettingsManager, TemplateManager, FontManager and BackupManager.
  * All state reads/writes flow through here. Content and popup are stateless clients.
  */
 
 importScripts(
+  '../content/template-string.js',
+  '../content/visibility-rules.js',
+  '../content/label-rules.js',
+  '../content/element-registry.js',
   '../content/settings-manager.js',
-  '../content/template-manager.js'
+  '../content/template-manager.js',
+  '../content/font-manager.js',
+  '../content/catalog-manager.js',
+  '../content/backup-manager.js'
 );
 
 // All Amazon Seller Central domains — single constant, used everywhere
@@ -26,10 +33,26 @@ const AMAZON_URLS = [
 
 const AMAZON_URL_PATTERN = /https:\/\/sellercentral(-europe)?\.amazon\.[^/]+/;
 
+/**
+ * Seller Central hostname a URL belongs to — the key of its marketplace
+ * profile — or null for any other page
+ */
+function marketplaceFromUrl(url) {
+  const match = AMAZON_URL_PATTERN.exec(url || '');
+  return match ? new URL(match[0]).hostname : null;
+}
+
 class BackgroundService {
   constructor() {
     this.settingsManager = new SettingsManager();
     this.templateManager = new TemplateManager();
+    this.fontManager     = new FontManager();
+    this.catalogManager  = new CatalogManager();
+    this.backupManager   = new BackupManager({
+      settingsManager: this.settingsManager,
+      templateManager: this.templateManager,
+      catalogManager:  this.catalogManager
+    });
     this.ready = false;
     this.init();
   }
@@ -37,6 +60,7 @@ class BackgroundService {
   async init() {
     await this.settingsManager.init();
     await this.templateManager.init();
+    await this.fontManager.init();
     this.ready = true;
 
     chrome.runtime.onInstalled.addListener((details) => this.handleInstallation(details));
@@ -79,20 +103,30 @@ class BackgroundService {
       switch (request.action) {
 
         // ── Settings ──────────────────────────────────────────────────────
+        // Settings resolve for request.marketplace when given (the popup),
+        // otherwise for the sending tab's marketplace (content scripts)
         case 'getSettings': {
-          const settings = await this.settingsManager.getSettings();
+          const settings = await this.settingsManager.resolveSettings(this.requestMarketplace(request, sender));
           sendResponse({ success: true, data: settings });
           break;
         }
 
         case 'saveSettings': {
-          await this.settingsManager.updateGlobalSettings(
-            request.settings.globalSettings || {}
-          );
-          if (request.settings.selectedTemplateId) {
-            await this.settingsManager.setSelectedTemplateId(
-              request.settings.selectedTemplateId
+          // A marketplace with a profile saves into it; otherwise the globals change
+          const marketplace = this.requestMarketplace(request, sender);
+          const profiles    = await this.settingsManager.getProfileMarketplaces();
+
+          if (marketplace && (request.marketplace || profiles.includes(marketplace))) {
+            await this.settingsManager.saveMarketplaceProfile(marketplace, request.settings);
+          } else {
+            await this.settingsManager.updateGlobalSettings(
+              request.settings.globalSettings || {}
             );
+            if (request.settings.selectedTemplateId) {
+              await this.settingsManager.setSelectedTemplateId(
+                request.settings.selectedTemplateId
+              );
+            }
           }
           await this.settingsManager.forceSave();
           await this.pushStateToTabs();
@@ -101,11 +135,93 @@ class BackgroundService {
         }
 
         // ── Label config (settings + active template in one round-trip) ──
+        // With request.productData the product is recorded in the catalog,
+        // merged with its entry and the first matching label rule may swap
+        // the template; with request.products every product gets its own.
+        // Font files are only sent when request.fontsVersion is out of date
+        // (fonts is null otherwise) — they can run to megabytes.
         case 'getLabelConfig': {
-          const settings  = await this.settingsManager.getSettings();
-          const templateId = settings.selectedTemplateId || 'thermal_57x32';
-          const template  = await this.templateManager.getTemplate(templateId);
-          sendResponse({ success: true, data: { settings, template } });
+          const marketplace  = marketplaceFromUrl(sender.tab?.url);
+          const settings     = await this.settingsManager.resolveSettings(marketplace);
+          const templateId   = settings.selectedTemplateId || 'thermal_57x32';
+          const template     = await this.templateManager.getTemplate(templateId);
+          const fontsVersion = await this.fontManager.getFontsVersion();
+          const fonts        = request.fontsVersion === fontsVersion
+            ? null
+            : await this.fontManager.getFontsWithData();
+
+          if (Array.isArray(request.products)) {
+            const products = await this.catalogManager.recordProducts(request.products, 'page');
+            const matches  = [];
+            for (const productData of products) {
+              matches.push({ productData, ...(await this.matchLabelRule(settings, productData, marketplace, template)) });
+            }
+            sendResponse({ success: true, data: { settings, template, fonts, fontsVersion, matches } });
+          } else if (request.productData) {
+            const [productData] = await this.catalogManager.recordProducts([request.productData], 'page');
+            const match         = await this.matchLabelRule(settings, productData, marketplace, template);
+            sendResponse({ success: true, data: { settings, fonts, fontsVersion, productData, ...match } });
+          } else {
+            sendResponse({ success: true, data: { settings, template, fonts, fontsVersion, rule: null } });
+          }
+          break;
+        }
+
+        // ── Product catalog ───────────────────────────────────────────────
+        case 'recordProducts': {
+          const products = await this.catalogManager.recordProducts(request.products, request.source || 'manual');
+          sendResponse({ success: true, data: products });
+          break;
+        }
+
+        case 'searchCatalog': {
+          const result = await this.catalogManager.search(request.query, { limit: request.limit });
+          sendResponse({ success: true, data: { ...result, suggestedFields: this.catalogManager.suggestedFields } });
+          break;
+        }
+
+        case 'updateCatalogProduct': {
+          const product = await this.catalogManager.updateProduct(request.sku, request.changes);
+          sendResponse({ success: true, data: product });
+          break;
+        }
+
+        case 'deleteCatalogProduct': {
+          await this.catalogManager.deleteProduct(request.sku);
+          sendResponse({ success: true });
+          break;
+        }
+
+        // ── Label rules ───────────────────────────────────────────────────
+        case 'getLabelRules': {
+          const rules = await this.settingsManager.getLabelRules();
+          sendResponse({ success: true, data: rules });
+          break;
+        }
+
+        case 'saveLabelRules': {
+          await this.settingsManager.setLabelRules(request.rules);
+          await this.settingsManager.forceSave();
+          sendResponse({ success: true });
+          break;
+        }
+
+        // ── Marketplace profiles ──────────────────────────────────────────
+        case 'getMarketplaces': {
+          const profiles     = await this.settingsManager.getProfileMarketplaces();
+          const marketplaces = AMAZON_URLS.map(url => marketplaceFromUrl(url)).map(host => ({
+            host,
+            hasProfile: profiles.includes(host)
+          }));
+          sendResponse({ success: true, data: marketplaces });
+          break;
+        }
+
+        case 'deleteMarketplaceProfile': {
+          await this.settingsManager.deleteMarketplaceProfile(request.marketplace);
+          await this.settingsManager.forceSave();
+          await this.pushStateToTabs();
+          sendResponse({ success: true });
           break;
         }
 
@@ -138,19 +254,92 @@ class BackgroundService {
           break;
         }
 
+        case 'validateTemplate': {
+          const validation = this.templateManager.validateTemplate(request.templateData);
+          sendResponse({ success: true, data: validation });
+          break;
+        }
+
+        case 'exportTemplate': {
+          const file = await this.templateManager.exportTemplate(request.templateId);
+          sendResponse({ success: true, data: file });
+          break;
+        }
+
+        case 'importTemplate': {
+          const imported = await this.templateManager.importTemplate(request.fileData);
+          await this.pushStateToTabs();
+          sendResponse({ success: true, data: imported });
+          break;
+        }
+
+        case 'getTemplateRevisions': {
+          const revisions = await this.templateManager.getRevisions(request.templateId);
+          sendResponse({ success: true, data: revisions });
+          break;
+        }
+
+        case 'restoreTemplateRevision': {
+          const restored = await this.templateManager.restoreRevision(
+            request.templateId, request.revisionId
+          );
+          await this.pushStateToTabs();
+          sendResponse({ success: true, data: restored });
+          break;
+        }
+
         case 'deleteTemplate': {
           await this.templateManager.deleteTemplate(request.templateId);
           // If deleted template was selected, fall back to default
           const settings = await this.settingsManager.getSettings();
           if (settings.selectedTemplateId === request.templateId) {
             await this.settingsManager.setSelectedTemplateId('thermal_57x32');
-            await this.settingsManager.forceSave();
           }
+          await this.settingsManager.forgetTemplate(request.templateId);
+          await this.settingsManager.forceSave();
           await this.pushStateToTabs();
           sendResponse({ success: true });
           break;
         }
 
+        // ── Fonts ─────────────────────────────────────────────────────────
+        case 'getFonts': {
+          const fonts = request.includeData
+            ? await this.fontManager.getFontsWithData()
+            : await this.fontManager.getFonts();
+          sendResponse({ success: true, data: fonts });
+          break;
+        }
+
+        case 'importFont': {
+          const font = await this.fontManager.importFont(request.fontData);
+          sendResponse({ success: true, data: font });
+          break;
+        }
+
+        case 'deleteFont': {
+          await this.fontManager.deleteFont(request.fontId);
+          sendResponse({ success: true });
+          break;
+        }
+
+        // ── Backup ─────────────────────────────────────────────────────────
+        case 'createBackup': {
+          const backup = await this.backupManager.createBackup();
+          sendResponse({ success: true, data: backup });
+          break;
+        }
+
+        case 'restoreBackup': {
+          const summary = await this.backupManager.restoreBackup(request.backup, {
+            mode: request.mode,
+            dryRun: request.dryRun
+          });
+          if (!request.dryRun) await this.pushStateToTabs();
+          sendResponse({ success: true, data: summary });
+          break;
+        }
+
         // ── Download History ───────────────────────────────────────────────
         case 'getDownloadHistory': {
           const result = await chrome.storage.local.get(['downloadHistory']);
@@ -166,7 +355,11 @@ class BackgroundService {
             fnsku:     request.data.fnsku,
             asin:      request.data.asin || '',
             title:     request.data.title || '',
+            condition: request.data.condition || '',
             quantity:  request.data.quantity,
+            templateId: request.data.templateId || '',
+            expiry:    request.data.expiry || '',
+            lot:       request.data.lot || '',
             timestamp: new Date().toISOString()
           });
           if (history.length > 50) history = history.slice(0, 50);
@@ -257,9 +450,15 @@ class BackgroundService {
           files: [
             'lib/jspdf.umd.min.js',
             'lib/jsbarcode.all.min.js',
+            'lib/bwip-js-min.js',
+            'content/font-registry.js',
+            'content/template-string.js',
+            'content/visibility-rules.js',
             'content/element-registry.js',
             'content/extractor.js',
+            'content/page-adapters.js',
             'content/pdf-generator.js',
+            'content/printer-command-generator.js',
             'content/ui-controller.js',
             'content/content.js'
           ]
@@ -282,7 +481,6 @@ class BackgroundService {
    */
   async pushStateToTabs() {
     try {
-      const settings  = await this.settingsManager.getSettings();
       const templates = await this.templateManager.getAllTemplates();
       const tabs      = await this.getAmazonTabs();
 
@@ -290,7 +488,7 @@ class BackgroundService {
         try {
           await chrome.tabs.sendMessage(tab.id, {
             action: 'stateUpdated',
-            settings,
+            settings: await this.settingsManager.resolveSettings(marketplaceFromUrl(tab.url)),
             templates
           });
         } catch { /* tab may not have content script */ }
@@ -300,6 +498,28 @@ class BackgroundService {
     }
   }
 
+  // ─── Label Rules ──────────────────────────────────────────────────────────
+
+  /**
+   * Label rule for one product and the template it prints with: the rule's
+   * template when it names one that still exists, else the default
+   * @returns {Object} { rule, template }
+   */
+  async matchLabelRule(settings, productData, marketplace, defaultTemplate) {
+    const rule = LabelRules.match(settings.labelRules, { ...productData, marketplace });
+    const template = (rule?.templateId && await this.templateManager.getTemplate(rule.templateId)) || defaultTemplate;
+    return { rule, template };
+  }
+
+  /**
+   * Marketplace a settings request is about: the one named in it, else the
+   * sending tab's
+   */
+  requestMarketplace(request, sender) {
+    if (request.marketplace !== undefined) return request.marketplace;
+    return marketplaceFromUrl(sender.tab?.url);
+  }
+
   async getAmazonTabs() {
     try {
       return await chrome.tabs.query({ url: AMAZON_URLS });
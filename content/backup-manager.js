@@ -0,0 +1,405 @@
+/**
+ * Backup Manager
+ * Full backup and restore of everything a user sets up: settings, custom
+ * templates, the extension on/off state, the download history and the
+ * catalog entries the user edited.
+ * Owned by the background service worker alongside the managers it reads.
+ *
+ * Backups are one JSON archive:
+ *   { format, schemaVersion, createdAt, settings, extensionState, templates, downloadHistory, catalog }
+ *
+ * Imported fonts and template revisions are left out — fonts can run to
+ * megabytes and are re-imported from their files, revisions are per machine.
+ * The catalog only contributes entries with corrections or user-added fields;
+ * the rest refills as labels are printed. Archives written before the
+ * catalog was included have no catalog key.
+ */
+
+class BackupManager {
+  /**
+   * @param {Object} managers
+   * @param {SettingsManager} managers.settingsManager
+   * @param {TemplateManager} managers.templateManager
+   * @param {CatalogManager} managers.catalogManager
+   */
+  constructor({ settingsManager, templateManager, catalogManager }) {
+    this.settingsManager = settingsManager;
+    this.templateManager = templateManager;
+    this.catalogManager  = catalogManager;
+
+    this.format        = 'fnsku-label-backup';
+    this.schemaVersion = 1;
+    this.historyLimit  = 50; // matches addToDownloadHistory
+  }
+
+  /**
+   * Build a backup archive of the current state
+   * @returns {Object} Backup archive
+   */
+  async createBackup() {
+    const { settings } = await this.settingsManager.exportSettings();
+    const history      = await chrome.storage.local.get(['downloadHistory']);
+
+    return {
+      format: this.format,
+      schemaVersion: this.schemaVersion,
+      createdAt: new Date().toISOString(),
+      settings,
+      extensionState: await this.settingsManager.getExtensionState(),
+      templates: await this.templateManager.getUserTemplates(),
+      downloadHistory: history.downloadHistory || [],
+      catalog: await this.catalogManager.getEditedProducts()
+    };
+  }
+
+  /**
+   * Restore a backup archive.
+   *
+   * - merge:   archive settings are applied over the current ones, archive
+   *            templates are added or update the template with the same id,
+   *            history entries are combined, and catalog corrections and
+   *            fields are added to those of the same SKU.
+   * - replace: the current state becomes exactly the archive's — custom
+   *            templates missing from it are deleted, and catalog entries
+   *            missing from it lose their corrections and fields.
+   *
+   * The whole archive is validated first; nothing is written unless all of
+   * it is valid. With dryRun nothing is written either way.
+   *
+   * @param {Object} archive - Parsed backup file
+   * @param {Object} options
+   * @param {string} options.mode - 'merge' or 'replace'
+   * @param {boolean} [options.dryRun] - Only report what would change
+   * @returns {Object} Summary of the changes (see planRestore)
+   */
+  async restoreBackup(archive, { mode, dryRun = false }) {
+    if (mode !== 'merge' && mode !== 'replace') {
+      throw new Error('Restore mode must be "merge" or "replace"');
+    }
+
+    const errors = this.validateBackup(archive);
+    if (errors.length > 0) {
+      throw new Error(`Backup is invalid: ${errors.slice(0, 5).join('; ')}${errors.length > 5 ? ` (+${errors.length - 5} more)` : ''}`);
+    }
+
+    const plan = await this.planRestore(archive, mode);
+    if (!dryRun) await this.applyRestore(plan);
+
+    return plan.summary;
+  }
+
+  /**
+   * Structural problems in a backup archive, including template validation
+   * @returns {string[]} Error messages (empty when valid)
+   */
+  validateBackup(archive) {
+    if (!archive || typeof archive !== 'object' || Array.isArray(archive)) {
+      return ['backup must be a JSON object'];
+    }
+    if (archive.format !== this.format) {
+      return [`not a backup file (format "${archive.format}")`];
+    }
+    if (!Number.isInteger(archive.schemaVersion) || archive.schemaVersion < 1) {
+      return [`invalid schemaVersion "${archive.schemaVersion}"`];
+    }
+    if (archive.schemaVersion > this.schemaVersion) {
+      return [`backup uses schema version ${archive.schemaVersion}, but this extension reads up to ${this.schemaVersion} — update the extension first`];
+    }
+
+    const errors   = [];
+    const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+    if (!isObject(archive.settings) || !isObject(archive.settings.globalSettings)) {
+      errors.push('settings.globalSettings must be an object');
+    }
+    if (archive.settings?.labelRules !== undefined) {
+      LabelRules.validate(archive.settings.labelRules).forEach(error => errors.push(`settings.labelRules: ${error}`));
+    }
+    if (archive.settings?.marketplaceProfiles !== undefined) {
+      const profiles = archive.settings.marketplaceProfiles;
+      if (!isObject(profiles)) {
+        errors.push('settings.marketplaceProfiles must be an object');
+      } else {
+        for (const [marketplace, profile] of Object.entries(profiles)) {
+          if (!isObject(profile)) {
+            errors.push(`settings.marketplaceProfiles: ${marketplace} must be an object`);
+          } else if (profile.selectedTemplateId !== undefined && typeof profile.selectedTemplateId !== 'string') {
+            errors.push(`settings.marketplaceProfiles: ${marketplace} selectedTemplateId must be a string`);
+          } else if (profile.globalSettings !== undefined && !isObject(profile.globalSettings)) {
+            errors.push(`settings.marketplaceProfiles: ${marketplace} globalSettings must be an object`);
+          }
+        }
+      }
+    }
+    if (archive.extensionState !== undefined && !isObject(archive.extensionState)) {
+      errors.push('extensionState must be an object');
+    }
+
+    if (!Array.isArray(archive.templates)) {
+      errors.push('templates must be an array');
+    } else {
+      const ids = new Set();
+      archive.templates.forEach((template, i) => {
+        const name = template?.name || `templates[${i}]`;
+        if (!isObject(template) || typeof template.id !== 'string' || !template.id) {
+          errors.push(`${name} needs an id`);
+          return;
+        }
+        if (ids.has(template.id)) errors.push(`${name}: duplicate id ${template.id}`);
+        if (this.templateManager.isBuiltInTemplate(template.id)) errors.push(`${name}: id ${template.id} is a built-in template`);
+        ids.add(template.id);
+
+        const validation = this.templateManager.validateTemplate(template);
+        validation.errors.forEach(error => errors.push(`${name}: ${error}`));
+      });
+    }
+
+    if (!Array.isArray(archive.downloadHistory)) {
+      errors.push('downloadHistory must be an array');
+    } else if (archive.downloadHistory.some(item => !isObject(item) || typeof item.timestamp !== 'string')) {
+      errors.push('downloadHistory entries need a timestamp');
+    }
+
+    if (archive.catalog !== undefined) {
+      if (!Array.isArray(archive.catalog)) {
+        errors.push('catalog must be an array');
+      } else {
+        const skus = new Set();
+        archive.catalog.forEach((entry, i) => {
+          if (!isObject(entry) || typeof entry.sku !== 'string' || !entry.sku) {
+            errors.push(`catalog[${i}] needs a sku`);
+            return;
+          }
+          const name = `catalog ${entry.sku}`;
+          if (skus.has(entry.sku)) errors.push(`${name}: duplicate sku`);
+          skus.add(entry.sku);
+
+          const productFields = this.catalogManager.productFields;
+          if (productFields.some(field => entry[field] !== undefined && typeof entry[field] !== 'string')) {
+            errors.push(`${name}: ${productFields.join(', ')} must be strings`);
+          }
+          if (!Array.isArray(entry.corrected) || entry.corrected.some(field => !productFields.includes(field) || !entry[field])) {
+            errors.push(`${name}: corrected must list product fields that have a value`);
+          }
+          if (!isObject(entry.fields)) {
+            errors.push(`${name}: fields must be an object`);
+          } else {
+            try {
+              this.catalogManager.validateFields(entry.fields);
+            } catch (error) {
+              errors.push(`${name}: ${error.message}`);
+            }
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Work out the state a restore would produce and summarize the differences:
+   * {
+   *   mode,
+   *   settings:       { changed: [key] },
+   *   extensionState: { changed: boolean },
+   *   templates:      { added: [name], updated: [name], removed: [name], unchanged: number },
+   *   history:        { added: number, removed: number, total: number },
+   *   catalog:        { added: number, updated: number, cleared: number }
+   * }
+   */
+  async planRestore(archive, mode) {
+    const current = await this.createBackup();
+    const same    = (a, b) => this._canonical(a) === this._canonical(b);
+
+    // Settings — replace spells out the lists an older archive may lack, as
+    // importSettings would otherwise keep the current ones
+    const settings = mode === 'replace'
+      ? {
+          ...archive.settings,
+          labelRules:          archive.settings.labelRules          || [],
+          marketplaceProfiles: archive.settings.marketplaceProfiles || {}
+        }
+      : {
+          ...current.settings,
+          ...archive.settings,
+          globalSettings: { ...current.settings.globalSettings, ...archive.settings.globalSettings },
+          marketplaceProfiles: { ...current.settings.marketplaceProfiles, ...archive.settings.marketplaceProfiles }
+        };
+    const keys = new Set([
+      ...Object.keys(current.settings.globalSettings), ...Object.keys(settings.globalSettings)
+    ]);
+    const changedSettings = [...keys].filter(key =>
+      !same(current.settings.globalSettings[key], settings.globalSettings[key])
+    );
+    if (current.settings.selectedTemplateId !== settings.selectedTemplateId) {
+      changedSettings.unshift('selectedTemplateId');
+    }
+    if (!same(current.settings.marketplaceProfiles || {}, settings.marketplaceProfiles || {})) {
+      changedSettings.push('marketplaceProfiles');
+    }
+    if (!same(current.settings.labelRules || [], settings.labelRules || [])) {
+      changedSettings.push('labelRules');
+    }
+
+    // Extension state — a single on/off switch, taken from the archive in both modes
+    const extensionState = archive.extensionState || current.extensionState;
+
+    // Templates
+    const currentById = new Map(current.templates.map(t => [t.id, t]));
+    const archiveIds  = new Set(archive.templates.map(t => t.id));
+    const added       = archive.templates.filter(t => !currentById.has(t.id));
+    const updated     = archive.templates.filter(t => currentById.has(t.id) && !same(
+      this._templateContent(currentById.get(t.id)), this._templateContent(t)
+    ));
+    const removed     = mode === 'replace' ? current.templates.filter(t => !archiveIds.has(t.id)) : [];
+
+    // History — entries are identified by their timestamp and SKU
+    const entryKey   = (item) => `${item.timestamp}|${item.sku}`;
+    const currentKey = new Set(current.downloadHistory.map(entryKey));
+    const combined   = mode === 'replace'
+      ? [...archive.downloadHistory]
+      : [...current.downloadHistory, ...archive.downloadHistory.filter(item => !currentKey.has(entryKey(item)))];
+    const history    = combined
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+      .slice(0, this.historyLimit);
+    const historyKeys = new Set(history.map(entryKey));
+
+    // Catalog — only the user's own data is restored: corrected values and
+    // user-added fields. Values last seen on the page stay as they are.
+    const archiveCatalog = archive.catalog || [];
+    const currentEntries = await this.catalogManager.getProducts(archiveCatalog.map(entry => entry.sku));
+    const catalogSkus    = new Set(archiveCatalog.map(entry => entry.sku));
+    const now            = new Date().toISOString();
+    const catalog        = [];
+    let catalogAdded     = 0;
+
+    archiveCatalog.forEach((entry, i) => {
+      const existing = currentEntries[i];
+      if (!existing) {
+        catalog.push({
+          source: 'manual', firstSeen: now, lastSeen: now, ...entry,
+          fields: this.catalogManager.validateFields(entry.fields), corrected: [...entry.corrected], updatedAt: now
+        });
+        catalogAdded++;
+        return;
+      }
+
+      const next = mode === 'replace'
+        ? { ...existing, fields: this.catalogManager.validateFields(entry.fields), corrected: [...entry.corrected] }
+        : {
+            ...existing,
+            fields:    { ...existing.fields, ...this.catalogManager.validateFields(entry.fields) },
+            corrected: [...new Set([...existing.corrected, ...entry.corrected])]
+          };
+      for (const field of entry.corrected) next[field] = entry[field];
+      if (!same(this._catalogContent(existing), this._catalogContent(next))) {
+        catalog.push({ ...next, updatedAt: now });
+      }
+    });
+    const catalogUpdated = catalog.length - catalogAdded;
+
+    const cleared = mode === 'replace'
+      ? current.catalog
+          .filter(entry => !catalogSkus.has(entry.sku))
+          .map(entry => ({ ...entry, fields: {}, corrected: [], updatedAt: now }))
+      : [];
+    catalog.push(...cleared);
+
+    return {
+      settings,
+      extensionState,
+      templates: { added, updated, removed },
+      history,
+      catalog,
+      summary: {
+        mode,
+        settings:       { changed: changedSettings },
+        extensionState: { changed: !same(current.extensionState.extensionEnabled, extensionState.extensionEnabled) },
+        templates: {
+          added:     added.map(t => t.name),
+          updated:   updated.map(t => t.name),
+          removed:   removed.map(t => t.name),
+          unchanged: archive.templates.length - added.length - updated.length
+        },
+        history: {
+          added:   history.filter(item => !currentKey.has(entryKey(item))).length,
+          removed: current.downloadHistory.filter(item => !historyKeys.has(entryKey(item))).length,
+          total:   history.length
+        },
+        catalog: {
+          added:   catalogAdded,
+          updated: catalogUpdated,
+          cleared: cleared.length
+        }
+      }
+    };
+  }
+
+  async applyRestore(plan) {
+    const { added, updated, removed } = plan.templates;
+
+    for (const template of removed) {
+      await this.templateManager.deleteTemplate(template.id);
+    }
+    for (const template of added) {
+      await this.templateManager.addUserTemplate(template);
+    }
+    for (const template of updated) {
+      await this.templateManager.updateTemplate(template.id, this._templateContent(template), { forceRevision: true });
+    }
+
+    // The archive may select templates that no longer exist here
+    const settings = { ...plan.settings };
+    if (!(await this.templateManager.getTemplate(settings.selectedTemplateId))) {
+      settings.selectedTemplateId = 'thermal_57x32';
+    }
+    for (const profile of Object.values(settings.marketplaceProfiles || {})) {
+      if (profile.selectedTemplateId && !(await this.templateManager.getTemplate(profile.selectedTemplateId))) {
+        delete profile.selectedTemplateId;
+      }
+    }
+    await this.settingsManager.importSettings({ settings });
+    await this.settingsManager.setExtensionState(plan.extensionState);
+
+    await chrome.storage.local.set({ downloadHistory: plan.history });
+
+    if (plan.catalog.length > 0) await this.catalogManager.putProducts(plan.catalog);
+  }
+
+  /**
+   * JSON with object keys sorted, so equal values compare equal however
+   * their keys were ordered by spreads and storage round-trips
+   */
+  _canonical(value) {
+    return JSON.stringify(value, (key, val) =>
+      val && typeof val === 'object' && !Array.isArray(val)
+        ? Object.fromEntries(Object.keys(val).sort().map(k => [k, val[k]]))
+        : val
+    );
+  }
+
+  /**
+   * The user's own data in a catalog entry, for comparing versions
+   */
+  _catalogContent(entry) {
+    const corrected = [...entry.corrected].sort();
+    return { fields: entry.fields, corrected, values: corrected.map(field => entry[field]) };
+  }
+
+  /**
+   * Template fields that matter when comparing versions — not timestamps or flags
+   */
+  _templateContent(template) {
+    const content = { ...template };
+    delete content.createdAt;
+    delete content.updatedAt;
+    delete content.displayName;
+    delete content.userCreated;
+    return content;
+  }
+}
+
+// Export for both content script (window) and service worker (self) contexts
+if (typeof window !== 'undefined') window.BackupManager = BackupManager;
+if (typeof self   !== 'undefined') self.BackupManager   = BackupManager;
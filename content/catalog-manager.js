@@ -0,0 +1,340 @@
+/**
+ * Catalog Manager
+ * Local product catalog keyed by SKU, kept by the background service worker.
+ * Every successful extraction and manual entry is recorded, so products keep
+ * what the row does not show: corrected values and user-added fields such as
+ * expiry, lot, origin or bin location. Labels merge the catalog entry into
+ * the extracted product data before rendering.
+ *
+ * Products live in IndexedDB (database fnsku_catalog, store products):
+ *   {
+ *     sku, fnsku, asin, title, condition,
+ *     fields:    { expiry: '2027-03-01', lot: 'L42' },  // user-added fields
+ *     corrected: ['fnsku'],                              // product fields edited by hand
+ *     source:    'page' | 'manual',
+ *     firstSeen, lastSeen, updatedAt
+ *   }
+ *
+ * Corrected fields are never overwritten by later extractions and win over
+ * the page when printing.
+ *
+ * The database opens on first use. If it cannot be opened, labels print
+ * without catalog data and the Catalog tab reports the failure.
+ */
+
+class CatalogManager {
+  constructor() {
+    this.dbName    = 'fnsku_catalog';
+    this.storeName = 'products';
+    this.db        = null;
+
+    // Extracted product fields a catalog entry mirrors
+    this.productFields = ['fnsku', 'asin', 'title', 'condition'];
+
+    // Fields offered when adding to an entry; any other valid name works too
+    this.suggestedFields = ['expiry', 'lot', 'origin', 'bin'];
+
+    // User-added fields that recorded products can carry (Manual Entry,
+    // bulk import and the print-time prompt)
+    this.recordedFields = ['expiry', 'lot'];
+
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the catalog manager. Failures are logged, not thrown; the
+   * next call tries again.
+   */
+  async init() {
+    if (this.initialized) return;
+
+    try {
+      this.db = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: 'sku' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror   = () => reject(request.error);
+      });
+      this.initialized = true;
+    } catch (error) {
+      console.error('Failed to initialize CatalogManager:', error);
+    }
+  }
+
+  // ─── Recording ─────────────────────────────────────────────────────────────
+
+  /**
+   * Record products as they were extracted or entered. New SKUs are added;
+   * known ones take the new values except where the user corrected them —
+   * values typed in Manual Entry ('manual') replace corrections as well.
+   * Empty values never blank out what the catalog already knows.
+   *
+   * @param {Object[]} products - Product data ({ sku, fnsku, asin, ... })
+   * @param {string} source - 'page' or 'manual'
+   * @returns {Object[]} The products merged with their catalog entries, or
+   *   unchanged when the catalog cannot be read or written
+   */
+  async recordProducts(products, source) {
+    if (!(await this.ensureInitialized())) return products;
+
+    // A catalog that fails here must not stop the label from printing
+    try {
+      const now     = new Date().toISOString();
+      const entries = await this.getProducts(products.map(product => product.sku));
+      const merged  = [];
+
+      await this._transaction('readwrite', (store) => {
+        products.forEach((product, i) => {
+          if (!product?.sku) {
+            merged.push(product);
+            return;
+          }
+
+          const entry = entries[i] || {
+            sku: product.sku, fields: {}, corrected: [], source, firstSeen: now
+          };
+          for (const field of this.productFields) {
+            const value = String(product[field] ?? '').trim();
+            if (value && (source === 'manual' || !entry.corrected.includes(field))) entry[field] = value;
+          }
+          for (const field of this.recordedFields) {
+            const value = String(product[field] ?? '').trim();
+            if (value) entry.fields[field] = value;
+          }
+          entry.lastSeen  = now;
+          entry.updatedAt = now;
+
+          store.put(entry);
+          merged.push(this.mergeInto(product, entry));
+        });
+      });
+
+      return merged;
+    } catch (error) {
+      console.warn('Catalog update failed:', error);
+      return products;
+    }
+  }
+
+  /**
+   * Product data with its catalog entry applied: user-added fields fill in
+   * where the product has no value (Manual Entry sends blank expiry and lot),
+   * corrected product fields replace the extracted values.
+   * @param {Object} product - Extracted or entered product data
+   * @param {Object|null} entry - Catalog entry for its SKU
+   * @returns {Object}
+   */
+  mergeInto(product, entry) {
+    if (!entry) return product;
+
+    const merged = { ...product };
+    for (const [field, value] of Object.entries(entry.fields)) {
+      if (String(product[field] ?? '').trim() === '') merged[field] = value;
+    }
+    for (const field of entry.corrected) merged[field] = entry[field];
+    return merged;
+  }
+
+  // ─── Queries ───────────────────────────────────────────────────────────────
+
+  /**
+   * @param {string} sku
+   * @returns {Object|null} Catalog entry
+   */
+  async getProduct(sku) {
+    const [entry] = await this.getProducts([sku]);
+    return entry;
+  }
+
+  /**
+   * Catalog entries for several SKUs, in order (null where unknown)
+   * @param {string[]} skus
+   * @returns {Array<Object|null>}
+   */
+  async getProducts(skus) {
+    if (!(await this.ensureInitialized())) return skus.map(() => null);
+
+    const entries = [];
+    await this._transaction('readonly', (store) => {
+      skus.forEach((sku, i) => {
+        entries[i] = null;
+        if (!sku) return;
+        const request = store.get(sku);
+        request.onsuccess = () => { entries[i] = request.result || null; };
+      });
+    });
+    return entries;
+  }
+
+  /**
+   * Entries whose SKU, FNSKU, ASIN, title or user-added fields contain the
+   * query (case-insensitive), most recently seen first
+   * @param {string} query - Empty lists everything
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum entries returned
+   * @returns {Object} { products, total } — total counts all matches
+   */
+  async search(query = '', { limit = 50 } = {}) {
+    await this._requireDatabase();
+
+    const needle  = String(query).trim().toLowerCase();
+    const matches = [];
+    await this._transaction('readonly', (store) => {
+      const request = store.getAll();
+      request.onsuccess = () => {
+        for (const entry of request.result) {
+          const haystack = [entry.sku, ...this.productFields.map(f => entry[f]), ...Object.values(entry.fields)]
+            .join('\n').toLowerCase();
+          if (!needle || haystack.includes(needle)) matches.push(entry);
+        }
+      };
+    });
+
+    matches.sort((a, b) => String(b.lastSeen).localeCompare(String(a.lastSeen)));
+    return { products: matches.slice(0, limit), total: matches.length };
+  }
+
+  /**
+   * Entries carrying the user's own data — corrections or user-added fields.
+   * These are what a backup keeps; the rest refills as labels are printed.
+   * @returns {Object[]}
+   */
+  async getEditedProducts() {
+    await this._requireDatabase();
+
+    const entries = [];
+    await this._transaction('readonly', (store) => {
+      const request = store.getAll();
+      request.onsuccess = () => {
+        entries.push(...request.result.filter(entry =>
+          entry.corrected.length > 0 || Object.keys(entry.fields).length > 0
+        ));
+      };
+    });
+    return entries;
+  }
+
+  // ─── Editing ───────────────────────────────────────────────────────────────
+
+  /**
+   * Edit a catalog entry from the popup. Product fields given here are
+   * marked corrected; a blank product field clears its correction so the
+   * page value is used again. User-added fields are replaced as a whole.
+   *
+   * @param {string} sku
+   * @param {Object} changes - { fnsku?, asin?, title?, condition?, fields? }
+   * @returns {Object} Updated entry
+   */
+  async updateProduct(sku, changes) {
+    await this._requireDatabase();
+
+    const entry = await this.getProduct(sku);
+    if (!entry) throw new Error(`SKU ${sku} is not in the catalog`);
+
+    for (const field of this.productFields) {
+      if (changes[field] === undefined) continue;
+
+      const value = String(changes[field]).trim();
+      if (value && value !== entry[field]) {
+        entry[field] = value;
+        if (!entry.corrected.includes(field)) entry.corrected.push(field);
+      } else if (!value) {
+        entry.corrected = entry.corrected.filter(f => f !== field);
+      }
+    }
+
+    if (changes.fields !== undefined) {
+      entry.fields = this.validateFields(changes.fields);
+    }
+    entry.updatedAt = new Date().toISOString();
+
+    await this._transaction('readwrite', (store) => store.put(entry));
+    return entry;
+  }
+
+  /**
+   * Check user-added fields: names must work as {placeholders} and must not
+   * shadow product fields. Blank values are dropped.
+   * @returns {Object} The fields to store
+   */
+  validateFields(fields) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      throw new Error('Catalog fields must be an object');
+    }
+
+    const reserved = ['sku', ...this.productFields, 'quantity', 'ruleText', 'dateFormat'];
+    const result   = {};
+    for (const [name, value] of Object.entries(fields)) {
+      if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(name)) {
+        throw new Error(`"${name}" is not a valid field name — use letters, digits and _`);
+      }
+      if (reserved.includes(name)) {
+        throw new Error(`"${name}" is a product field, not a custom one`);
+      }
+      const text = String(value ?? '').trim();
+      if (text) result[name] = text;
+    }
+    return result;
+  }
+
+  /**
+   * @param {string} sku
+   */
+  async deleteProduct(sku) {
+    await this._requireDatabase();
+    await this._transaction('readwrite', (store) => store.delete(sku));
+  }
+
+  /**
+   * Write whole entries at once, as prepared by a backup restore
+   * @param {Object[]} entries
+   */
+  async putProducts(entries) {
+    await this._requireDatabase();
+    await this._transaction('readwrite', (store) => entries.forEach(entry => store.put(entry)));
+  }
+
+  // ─── Internals ─────────────────────────────────────────────────────────────
+
+  /**
+   * Run requests against the products store in one transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} work - Called with the object store
+   * @returns {Promise} Resolves when the transaction completes
+   */
+  _transaction(mode, work) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(this.storeName, mode);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror    = () => reject(transaction.error);
+      transaction.onabort    = () => reject(transaction.error);
+      work(transaction.objectStore(this.storeName));
+    });
+  }
+
+  /**
+   * Ensure manager is initialized
+   * @returns {boolean} True when the database is open
+   */
+  async ensureInitialized() {
+    if (!this.initialized) {
+      await this.init();
+    }
+    return this.initialized;
+  }
+
+  /**
+   * For operations that mean nothing without the catalog
+   */
+  async _requireDatabase() {
+    if (!(await this.ensureInitialized())) {
+      throw new Error('The product catalog could not be opened');
+    }
+  }
+}
+
+// Export for both content script (window) and service worker (self) contexts
+if (typeof window !== 'undefined') window.CatalogManager = CatalogManager;
+if (typeof self   !== 'undefined') self.CatalogManager   = CatalogManager;
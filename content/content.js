@@ -6,9 +6,12 @@
 
 class AmazonFNSKUExtension {
   constructor() {
-    this.dataExtractor = null;
-    this.pdfGenerator  = null;
-    this.uiController  = null;
+    this.dataExtractor    = null;
+    this.pdfGenerator     = null;
+    this.commandGenerator = null;
+    this.uiController     = null;
+    this.pageType         = null;
+    this.pageAdapter      = null;
     this.observer      = null;
     // WeakRef-based tracking: DOM element → true, avoids stale SKU string issues
     this.processedRows = new WeakMap();
@@ -24,9 +27,13 @@ class AmazonFNSKUExtension {
     try {
       await this._waitForLibraries();
 
-      this.dataExtractor = new AmazonDataExtractor();
-      this.pdfGenerator  = new PDFLabelGenerator();
-      this.uiController  = new UIController(this.dataExtractor, this.pdfGenerator);
+      this._detectPage();
+      this.dataExtractor    = this.pageAdapter.createExtractor();
+      this.pdfGenerator     = new PDFLabelGenerator();
+      this.commandGenerator = new PrinterCommandGenerator();
+      this.uiController     = new UIController(
+        this.dataExtractor, this.pdfGenerator, this.commandGenerator
+      );
 
       this._startObserver();
       this._scanAndInjectButtons();
@@ -46,9 +53,15 @@ class AmazonFNSKUExtension {
       const required = () =>
         window.jspdf &&
         window.JsBarcode &&
+        window.bwipjs &&
+        window.FontRegistry &&
+        window.TemplateString &&
+        window.VisibilityRules &&
         window.ElementRegistry &&
         window.AmazonDataExtractor &&
+        window.PageAdapters &&
         window.PDFLabelGenerator &&
+        window.PrinterCommandGenerator &&
         window.UIController;
 
       if (required()) { resolve(); return; }
@@ -65,6 +78,20 @@ class AmazonFNSKUExtension {
     });
   }
 
+  // ─── Page Detection ────────────────────────────────────────────────────────
+
+  /**
+   * Pick the PageAdapter for the current URL.
+   * @returns {boolean} True when the page type changed
+   */
+  _detectPage() {
+    const { id, adapter } = PageAdapters.detect(window.location);
+    const changed = id !== this.pageType;
+    this.pageType    = id;
+    this.pageAdapter = adapter;
+    return changed;
+  }
+
   _showInitError(message) {
     const banner = document.createElement('div');
     banner.style.cssText = [
@@ -90,10 +117,8 @@ class AmazonFNSKUExtension {
         if (mutation.addedNodes.length > 0) {
           for (const node of mutation.addedNodes) {
             if (node.nodeType !== Node.ELEMENT_NODE) continue;
-            if (
-              node.matches?.('div[data-sku]') ||
-              node.querySelector?.('div[data-sku]')
-            ) {
+            const selector = this.pageAdapter.rowSelector;
+            if (node.matches?.(selector) || node.querySelector?.(selector)) {
               shouldScan = true;
               break;
             }
@@ -124,27 +149,33 @@ class AmazonFNSKUExtension {
     if (!this.isInitialized) return;
 
     try {
-      const productRows = document.querySelectorAll('div[data-sku]');
+      const productRows = this.pageAdapter.findRows(document);
 
       for (const row of productRows) {
         // Track by DOM element reference (WeakMap) — handles duplicate SKUs correctly
         if (this.processedRows.has(row)) continue;
 
         try {
-          const smartButton = this.uiController.createSmartButton(row);
-          const labelRow    = this._createLabelRow(smartButton);
-          row.parentNode.insertBefore(labelRow, row.nextSibling);
+          // Shipment pages pre-fill the units to ship; inventory defaults to 1,
+          // or to a matching label rule's quantity at print time
+          const quantity    = this.pageAdapter.getQuantity(row, this.dataExtractor);
+          const smartButton = this.uiController.createSmartButton(row, quantity);
+          const checkbox    = this.uiController.createSelectCheckbox();
+          const labelRow    = this._createLabelRow(smartButton, checkbox);
+          this.pageAdapter.insertLabelRow(row, labelRow);
           this.processedRows.set(row, true);
         } catch (error) {
           console.warn('Failed to inject button for row:', error);
         }
       }
+
+      this.uiController.updateBatchToolbar();
     } catch (error) {
       console.error('Error during button injection:', error);
     }
   }
 
-  _createLabelRow(smartButton) {
+  _createLabelRow(smartButton, checkbox) {
     const row = document.createElement('div');
     row.className = 'smart-label-row';
     row.style.cssText = [
@@ -157,6 +188,7 @@ class AmazonFNSKUExtension {
     label.textContent = 'FNSKU Label: ';
     label.style.cssText = 'font-size:12px;color:#666;margin-right:8px;font-weight:500;';
 
+    row.appendChild(checkbox);
     row.appendChild(label);
     row.appendChild(smartButton);
     return row;
@@ -166,9 +198,14 @@ class AmazonFNSKUExtension {
 
   handlePageChange() {
     // processedRows is a WeakMap — entries auto-expire when DOM nodes are GC'd.
-    // Just re-scan after navigation delay.
+    // Re-detect the page type, then re-scan after navigation delay.
     setTimeout(() => {
-      if (this.isInitialized) this._scanAndInjectButtons();
+      if (!this.isInitialized) return;
+      if (this._detectPage()) {
+        this.dataExtractor = this.pageAdapter.createExtractor();
+        this.uiController.setDataExtractor(this.dataExtractor);
+      }
+      this._scanAndInjectButtons();
     }, 1000);
   }
 
@@ -1,7 +1,11 @@
 /**
  * Element Registry
  * Defines all renderable element types for label templates.
- * Each type declares its inspector controls and PDF render function.
+ * Each type declares its inspector controls, PDF render function,
+ * printer-language mappings (keyed by language id, e.g. `zpl`), the
+ * bounds, sketch and resize behaviour the label designer works with, and a
+ * `schema` of property rules (plus an optional `validate` hook for rules
+ * spanning several properties) that template validation checks.
  * Adding a new type here is the only change needed to support it everywhere.
  */
 
@@ -9,13 +13,21 @@ const ElementRegistry = {
 
   barcode: {
     label: 'Barcode',
+    resize: 'box',
+    carriesData: true,
+    schema: {
+      width:  { type: 'number', required: true, positive: true },
+      height: { type: 'number', required: true, positive: true },
+      format: { oneOf: ['CODE128', 'CODE39', 'EAN13'] }
+    },
     controls: [
       { prop: 'dataField', type: 'select', label: 'Field', options: ['fnsku', 'asin'] },
       { prop: 'format', type: 'select', label: 'Format', options: ['CODE128', 'CODE39', 'EAN13'] },
       { prop: 'x', type: 'number', label: 'X (mm)', step: 0.5 },
       { prop: 'y', type: 'number', label: 'Y (mm)', step: 0.5 },
       { prop: 'width', type: 'number', label: 'Width', step: 0.5, min: 1 },
-      { prop: 'height', type: 'number', label: 'Height', step: 0.5, min: 1 }
+      { prop: 'height', type: 'number', label: 'Height', step: 0.5, min: 1 },
+      { prop: 'rotation', type: 'number', label: 'Rotation°', step: 90, min: 0, max: 270, default: 0 },
     ],
     defaults: {
       dataField: 'fnsku',
@@ -42,16 +54,90 @@ const ElementRegistry = {
       });
 
       const dataURL = canvas.toDataURL('image/png');
-      doc.addImage(dataURL, 'PNG', element.x, element.y, element.width, element.height);
+      ElementRegistry._addImage(doc, dataURL, 'PNG', element);
+    },
+
+    bounds: (element) => ElementRegistry._boxBounds(element),
+
+    /**
+     * Blank margin (mm) scanners need either side of the bars — 10 modules.
+     * The symbol is stretched to the element width, so the module width
+     * follows from the symbol length of a typical 10-character FNSKU/ASIN.
+     */
+    quietZone(element) {
+      const format  = element.format || 'CODE128';
+      const modules = ElementRegistry._estimateBarcodeModules(format, 'X000000000');
+      return 10 * element.width / modules;
+    },
+
+    sketch(ctx, element, data) {
+      ElementRegistry._sketchBars(ctx, element, String(data[element.dataField] || ''));
+    },
+
+    // ^FO addresses the top-left of the rotated field, so place it at the
+    // corner of the symbol's rotated bounding box
+    zpl(element, data, ctx) {
+      const value = data[element.dataField];
+      if (!value) return '';
+
+      const { format, x, y, width, module, height } = ElementRegistry._barcodeGeometry(element, value, ctx);
+      const o   = 'NRIB'[ElementRegistry._quarterTurns(element)];
+      const box = ElementRegistry._dotBox(element, ctx, x, y, width, height);
+      const symbology = {
+        CODE128: `^BC${o},${height},N,N,N,A`,
+        CODE39:  `^B3${o},N,${height},N,N`,
+        EAN13:   `^BE${o},${height},N,N`
+      }[format] || `^BC${o},${height},N,N,N,A`;
+
+      return `^FO${box.x},${box.y}^BY${module},3${symbology}${ctx.field(value)}`;
+    },
+
+    // TSPL and EPL2 turn a barcode about its reference point, like the PDF
+    tspl(element, data, ctx) {
+      const value = data[element.dataField];
+      if (!value) return '';
+
+      const { format, x, y, module, height } = ElementRegistry._barcodeGeometry(element, value, ctx);
+      const type = { CODE128: '128', CODE39: '39', EAN13: 'EAN13' }[format] || '128';
+      const wide = format === 'CODE39' ? module * 3 : module;
+      const at   = ElementRegistry._dotPoint(element, ctx, x, y);
+      const turn = ElementRegistry._quarterTurns(element) * 90;
+
+      return `BARCODE ${at.x},${at.y},"${type}",${height},0,${turn},${module},${wide},${ctx.field(value)}`;
+    },
+
+    epl(element, data, ctx) {
+      const value = data[element.dataField];
+      if (!value) return '';
+
+      const { format, x, y, module, height } = ElementRegistry._barcodeGeometry(element, value, ctx);
+      const type = { CODE128: '1', CODE39: '3', EAN13: 'E30' }[format] || '1';
+      const wide = format === 'CODE39' ? module * 3 : module;
+      const at   = ElementRegistry._dotPoint(element, ctx, x, y);
+      const turn = ElementRegistry._quarterTurns(element);
+
+      return `B${at.x},${at.y},${turn},${type},${module},${wide},${height},N,${ctx.field(value)}`;
     }
   },
 
   data_text: {
     label: 'Data Field',
+    freeRotation: true,
+    resize: 'boxWidth',
+    carriesData: true,
+    schema: {
+      fontSize:    { type: 'number', required: true, positive: true },
+      fontFamily:  { type: 'string' },
+      fit:         { oneOf: ['none', 'shrink'] },
+      boxWidth:    { type: 'number', min: 0 },
+      maxLines:    { type: 'number', min: 0 },
+      lineHeight:  { type: 'number', min: 0 },
+      minFontSize: { type: 'number', min: 0 }
+    },
     controls: [
       {
         prop: 'dataField', type: 'select', label: 'Field',
-        options: ['fnsku', 'sku', 'title', 'asin', 'condition']
+        options: ['fnsku', 'sku', 'title', 'asin', 'condition', 'expiry', 'lot', 'ruleText']
       },
       {
         prop: 'prefixField', type: 'select', label: 'Prefix',
@@ -60,10 +146,18 @@ const ElementRegistry = {
       },
       { prop: 'x', type: 'number', label: 'X (mm)', step: 0.5 },
       { prop: 'y', type: 'number', label: 'Y (mm)', step: 0.5 },
+      { prop: 'rotation', type: 'number', label: 'Rotation°', step: 1, min: 0, max: 359, default: 0 },
       { prop: 'fontSize', type: 'number', label: 'Font Size', min: 4, max: 24 },
+      { prop: 'fontFamily', type: 'select', label: 'Font', options: () => FontRegistry.families() },
       { prop: 'align', type: 'select', label: 'Align', options: ['left', 'center', 'right'] },
       { prop: 'bold', type: 'checkbox', label: 'Bold' },
-      { prop: 'maxLength', type: 'number', label: 'Max Length', min: 1 }
+      { prop: 'color', type: 'select', label: 'Color', options: ['black', 'white'] },
+      { prop: 'maxLength', type: 'number', label: 'Max Length', min: 1 },
+      { prop: 'boxWidth', type: 'number', label: 'Box Width', step: 0.5, min: 0 },
+      { prop: 'maxLines', type: 'number', label: 'Max Lines', min: 1 },
+      { prop: 'lineHeight', type: 'number', label: 'Line Height', step: 0.05, min: 0.8 },
+      { prop: 'fit', type: 'select', label: 'Fit', options: ['none', 'shrink'] },
+      { prop: 'minFontSize', type: 'number', label: 'Min Size', step: 0.5, min: 3, max: 24 }
     ],
     defaults: {
       dataField: 'fnsku',
@@ -72,39 +166,69 @@ const ElementRegistry = {
       fontSize: 8,
       align: 'center',
       bold: false,
+      color: 'black',
       enabled: true
     },
 
     render(doc, element, data) {
-      const raw     = String(data[element.dataField] || '');
-      const prefix  = element.prefixField ? String(data[element.prefixField] || '') : '';
-      let value     = prefix ? `${prefix} ${raw}` : raw;
+      const { value, fontSize } = ElementRegistry._dataTextContent(element, data);
       if (!value) return;
+      return ElementRegistry._pdfText(doc, element, value, fontSize);
+    },
 
-      if (element.maxLength && value.length > element.maxLength) {
-        value = value.substring(0, element.maxLength) + '…';
-      }
+    content: (element, data) => ElementRegistry._dataTextContent(element, data),
 
-      let fontSize = element.fontSize || 8;
-      doc.setFont('helvetica', element.bold ? 'bold' : 'normal');
+    bounds: (element, data) => ElementRegistry._textBounds(element, data && ElementRegistry.data_text.content(element, data)),
 
-      if (value.length > 30 && fontSize > 6) fontSize = Math.max(5, fontSize - 2);
-      if (value.length > 50 && fontSize > 5) fontSize = Math.max(4, fontSize - 1);
+    sketch: (ctx, element, data) => ElementRegistry._sketchText(ctx, element, ElementRegistry.data_text.content(element, data)),
+
+    zpl(element, data, ctx) {
+      const { value, fontSize } = ElementRegistry._dataTextContent(element, data);
+      if (!value) return '';
+      return ElementRegistry._printerText(element, value, fontSize, ctx);
+    },
+
+    tspl(element, data, ctx) {
+      const { value, fontSize } = ElementRegistry._dataTextContent(element, data);
+      if (!value) return '';
+      return ElementRegistry._printerText(element, value, fontSize, ctx);
+    },
 
-      doc.setFontSize(fontSize);
-      doc.text(value, element.x, element.y, { align: element.align || 'left' });
+    epl(element, data, ctx) {
+      const { value, fontSize } = ElementRegistry._dataTextContent(element, data);
+      if (!value) return '';
+      return ElementRegistry._printerText(element, value, fontSize, ctx);
     }
   },
 
   static_text: {
     label: 'Static Text',
+    freeRotation: true,
+    resize: 'boxWidth',
+    schema: {
+      fontSize:    { type: 'number', required: true, positive: true },
+      fontFamily:  { type: 'string' },
+      fit:         { oneOf: ['none', 'shrink'] },
+      boxWidth:    { type: 'number', min: 0 },
+      maxLines:    { type: 'number', min: 0 },
+      lineHeight:  { type: 'number', min: 0 },
+      minFontSize: { type: 'number', min: 0 }
+    },
     controls: [
       { prop: 'value', type: 'text', label: 'Text' },
       { prop: 'x', type: 'number', label: 'X (mm)', step: 0.5 },
       { prop: 'y', type: 'number', label: 'Y (mm)', step: 0.5 },
+      { prop: 'rotation', type: 'number', label: 'Rotation°', step: 1, min: 0, max: 359, default: 0 },
       { prop: 'fontSize', type: 'number', label: 'Font Size', min: 4, max: 24 },
+      { prop: 'fontFamily', type: 'select', label: 'Font', options: () => FontRegistry.families() },
       { prop: 'align', type: 'select', label: 'Align', options: ['left', 'center', 'right'] },
-      { prop: 'bold', type: 'checkbox', label: 'Bold' }
+      { prop: 'bold', type: 'checkbox', label: 'Bold' },
+      { prop: 'color', type: 'select', label: 'Color', options: ['black', 'white'] },
+      { prop: 'boxWidth', type: 'number', label: 'Box Width', step: 0.5, min: 0 },
+      { prop: 'maxLines', type: 'number', label: 'Max Lines', min: 1 },
+      { prop: 'lineHeight', type: 'number', label: 'Line Height', step: 0.05, min: 0.8 },
+      { prop: 'fit', type: 'select', label: 'Fit', options: ['none', 'shrink'] },
+      { prop: 'minFontSize', type: 'number', label: 'Min Size', step: 0.5, min: 3, max: 24 }
     ],
     defaults: {
       value: 'Label',
@@ -112,24 +236,122 @@ const ElementRegistry = {
       fontSize: 7,
       align: 'left',
       bold: false,
+      color: 'black',
       enabled: true
     },
 
     render(doc, element) {
       if (!element.value) return;
-      doc.setFont('helvetica', element.bold ? 'bold' : 'normal');
-      doc.setFontSize(element.fontSize || 7);
-      doc.text(element.value, element.x, element.y, { align: element.align || 'left' });
+      return ElementRegistry._pdfText(doc, element, element.value, element.fontSize || 7);
+    },
+
+    content: (element) => ({ value: element.value || '', fontSize: element.fontSize || 7 }),
+
+    bounds: (element, data) => ElementRegistry._textBounds(element, data && ElementRegistry.static_text.content(element, data)),
+
+    sketch: (ctx, element) => ElementRegistry._sketchText(ctx, element, ElementRegistry.static_text.content(element)),
+
+    zpl(element, data, ctx) {
+      if (!element.value) return '';
+      return ElementRegistry._printerText(element, element.value, element.fontSize || 7, ctx);
+    },
+
+    tspl(element, data, ctx) {
+      if (!element.value) return '';
+      return ElementRegistry._printerText(element, element.value, element.fontSize || 7, ctx);
+    },
+
+    epl(element, data, ctx) {
+      if (!element.value) return '';
+      return ElementRegistry._printerText(element, element.value, element.fontSize || 7, ctx);
+    }
+  },
+
+  template_text: {
+    label: 'Template Text',
+    freeRotation: true,
+    resize: 'boxWidth',
+    carriesData: true,
+    schema: {
+      template:    { type: 'string', required: true, nonEmpty: true },
+      fontSize:    { type: 'number', required: true, positive: true },
+      fontFamily:  { type: 'string' },
+      fit:         { oneOf: ['none', 'shrink'] },
+      boxWidth:    { type: 'number', min: 0 },
+      maxLines:    { type: 'number', min: 0 },
+      lineHeight:  { type: 'number', min: 0 },
+      minFontSize: { type: 'number', min: 0 }
+    },
+    controls: [
+      { prop: 'template', type: 'text', label: 'Template' },
+      { prop: 'x', type: 'number', label: 'X (mm)', step: 0.5 },
+      { prop: 'y', type: 'number', label: 'Y (mm)', step: 0.5 },
+      { prop: 'rotation', type: 'number', label: 'Rotation°', step: 1, min: 0, max: 359, default: 0 },
+      { prop: 'fontSize', type: 'number', label: 'Font Size', min: 4, max: 24 },
+      { prop: 'fontFamily', type: 'select', label: 'Font', options: () => FontRegistry.families() },
+      { prop: 'align', type: 'select', label: 'Align', options: ['left', 'center', 'right'] },
+      { prop: 'bold', type: 'checkbox', label: 'Bold' },
+      { prop: 'color', type: 'select', label: 'Color', options: ['black', 'white'] },
+      { prop: 'boxWidth', type: 'number', label: 'Box Width', step: 0.5, min: 0 },
+      { prop: 'maxLines', type: 'number', label: 'Max Lines', min: 1 },
+      { prop: 'lineHeight', type: 'number', label: 'Line Height', step: 0.05, min: 0.8 },
+      { prop: 'fit', type: 'select', label: 'Fit', options: ['none', 'shrink'] },
+      { prop: 'minFontSize', type: 'number', label: 'Min Size', step: 0.5, min: 3, max: 24 }
+    ],
+    defaults: {
+      template: '{sku} · {asin}',
+      x: 2, y: 10,
+      fontSize: 7,
+      align: 'left',
+      bold: false,
+      color: 'black',
+      enabled: true
+    },
+
+    render(doc, element, data) {
+      const value = TemplateString.render(element.template, data);
+      if (!value.trim()) return;
+      return ElementRegistry._pdfText(doc, element, value, element.fontSize || 7);
+    },
+
+    content: (element, data) => ({ value: TemplateString.render(element.template, data), fontSize: element.fontSize || 7 }),
+
+    bounds: (element, data) => ElementRegistry._textBounds(element, data && ElementRegistry.template_text.content(element, data)),
+
+    sketch: (ctx, element, data) => ElementRegistry._sketchText(ctx, element, ElementRegistry.template_text.content(element, data)),
+
+    zpl(element, data, ctx) {
+      const value = TemplateString.render(element.template, data);
+      if (!value.trim()) return '';
+      return ElementRegistry._printerText(element, value, element.fontSize || 7, ctx);
+    },
+
+    tspl(element, data, ctx) {
+      const value = TemplateString.render(element.template, data);
+      if (!value.trim()) return '';
+      return ElementRegistry._printerText(element, value, element.fontSize || 7, ctx);
+    },
+
+    epl(element, data, ctx) {
+      const value = TemplateString.render(element.template, data);
+      if (!value.trim()) return '';
+      return ElementRegistry._printerText(element, value, element.fontSize || 7, ctx);
     }
   },
 
   image: {
     label: 'Product Image',
+    resize: 'box',
+    schema: {
+      width:  { type: 'number', required: true, positive: true },
+      height: { type: 'number', required: true, positive: true }
+    },
     controls: [
       { prop: 'x', type: 'number', label: 'X (mm)', step: 0.5 },
       { prop: 'y', type: 'number', label: 'Y (mm)', step: 0.5 },
       { prop: 'width', type: 'number', label: 'Width', step: 0.5, min: 1 },
-      { prop: 'height', type: 'number', label: 'Height', step: 0.5, min: 1 }
+      { prop: 'height', type: 'number', label: 'Height', step: 0.5, min: 1 },
+      { prop: 'rotation', type: 'number', label: 'Rotation°', step: 90, min: 0, max: 270, default: 0 },
     ],
     defaults: {
       x: 2, y: 2, width: 20, height: 20,
@@ -143,11 +365,386 @@ const ElementRegistry = {
       try {
         const dataURL = await ElementRegistry._loadImageAsDataURL(imageUrl);
         if (dataURL) {
-          doc.addImage(dataURL, 'JPEG', element.x, element.y, element.width, element.height);
+          ElementRegistry._addImage(doc, dataURL, 'JPEG', element);
         }
       } catch (e) {
         // Image failed to load — skip silently, label still prints
       }
+    },
+
+    bounds: (element) => ElementRegistry._boxBounds(element),
+
+    sketch(ctx, element) {
+      const { x, y, width, height } = element;
+      ctx.fillStyle   = '#e9ecef';
+      ctx.strokeStyle = '#adb5bd';
+      ctx.lineWidth   = 0.2;
+      ctx.fillRect(x, y, width, height);
+      ctx.beginPath();
+      ctx.moveTo(x, y);         ctx.lineTo(x + width, y + height);
+      ctx.moveTo(x + width, y); ctx.lineTo(x, y + height);
+      ctx.stroke();
+    },
+
+    // No tspl/epl hooks: TSPL BITMAP and EPL GW take raw binary rows, which a
+    // text job file cannot carry, so images print in PDF and ZPL output only.
+    async zpl(element, data, ctx) {
+      if (!data.imageUrl) return '';
+
+      const dataURL = await ElementRegistry._loadImageAsDataURL(data.imageUrl);
+      if (!dataURL) return '';
+
+      // ^GF has no orientation, so the bitmap itself is turned
+      const graphic = await ElementRegistry._toMonochromeHex(
+        dataURL, ctx.dots(element.width), ctx.dots(element.height), ElementRegistry._quarterTurns(element)
+      );
+      if (!graphic) return '';
+
+      const { bytesPerRow, rows, hex } = graphic;
+      const total = bytesPerRow * rows;
+      const box   = ElementRegistry._dotBox(element, ctx, ctx.dots(element.x), ctx.dots(element.y),
+        ctx.dots(element.width), ctx.dots(element.height));
+      return `^FO${box.x},${box.y}^GFA,${total},${total},${bytesPerRow},${hex}^FS`;
+    }
+  },
+
+  qr_code: {
+    label: 'QR Code',
+    resize: 'square',
+    carriesData: true,
+    schema: {
+      size:     { type: 'number', required: true, positive: true },
+      eccLevel: { oneOf: ['L', 'M', 'Q', 'H'] }
+    },
+    validate: (element) => ElementRegistry._validateCodeSource(element),
+    controls: [
+      { prop: 'dataField', type: 'select', label: 'Field', options: ['fnsku', 'sku', 'asin', 'title', 'condition', 'expiry', 'lot'] },
+      { prop: 'template', type: 'text', label: 'Template' },
+      { prop: 'eccLevel', type: 'select', label: 'Error Corr.', options: ['L', 'M', 'Q', 'H'] },
+      { prop: 'x', type: 'number', label: 'X (mm)', step: 0.5 },
+      { prop: 'y', type: 'number', label: 'Y (mm)', step: 0.5 },
+      { prop: 'size', type: 'number', label: 'Size (mm)', step: 0.5, min: 4 },
+      { prop: 'rotation', type: 'number', label: 'Rotation°', step: 90, min: 0, max: 270, default: 0 },
+    ],
+    defaults: {
+      dataField: 'fnsku',
+      template: '',
+      eccLevel: 'M',
+      x: 2, y: 2, size: 14,
+      enabled: true
+    },
+
+    render(doc, element, data) {
+      const value = ElementRegistry._codeValue(element, data);
+      if (!value) return;
+
+      const matrix = ElementRegistry._encodeMatrix('qrcode', value, { eclevel: element.eccLevel || 'M' });
+      ElementRegistry._drawMatrix(doc, matrix, element);
+    },
+
+    bounds: (element) => ElementRegistry._squareBounds(element),
+
+    sketch(ctx, element, data) {
+      ElementRegistry._sketchMatrix(ctx, element, 'qrcode', ElementRegistry._codeValue(element, data),
+        { eclevel: element.eccLevel || 'M' });
+    },
+
+    // ^BQ has no orientation — scanners read QR codes at any angle, so a
+    // rotated element only moves the symbol to its rotated position
+    zpl(element, data, ctx) {
+      const value = ElementRegistry._codeValue(element, data);
+      if (!value) return '';
+
+      const ecc    = element.eccLevel || 'M';
+      const matrix = ElementRegistry._encodeMatrix('qrcode', value, { eclevel: ecc });
+      const mag    = ElementRegistry._matrixModuleDots(matrix, element, ctx);
+      const side   = mag * Math.max(matrix.cols, matrix.rows);
+      const box    = ElementRegistry._dotBox(element, ctx, ctx.dots(element.x), ctx.dots(element.y), side, side);
+      // ^BQ field data is "<ecc><input mode>,<data>"; model 2, automatic input mode
+      return `^FO${box.x},${box.y}^BQN,2,${mag}${ctx.field(`${ecc}A,${value}`)}`;
+    },
+
+    tspl(element, data, ctx) {
+      const value = ElementRegistry._codeValue(element, data);
+      if (!value) return '';
+
+      const ecc    = element.eccLevel || 'M';
+      const matrix = ElementRegistry._encodeMatrix('qrcode', value, { eclevel: ecc });
+      const cell   = ElementRegistry._matrixModuleDots(matrix, element, ctx);
+      const turn   = ElementRegistry._quarterTurns(element) * 90;
+      return `QRCODE ${ctx.dots(element.x)},${ctx.dots(element.y)},${ecc},${cell},A,${turn},${ctx.field(value)}`;
+    },
+
+    epl(element, data, ctx) {
+      const value = ElementRegistry._codeValue(element, data);
+      if (!value) return '';
+
+      const matrix = ElementRegistry._encodeMatrix('qrcode', value, { eclevel: element.eccLevel || 'M' });
+      return ElementRegistry._eplMatrix(matrix, element, ctx);
+    }
+  },
+
+  // Data Matrix is always ECC 200 — its Reed-Solomon level is fixed by the
+  // symbol size, so unlike qr_code there is no error-correction control.
+  datamatrix: {
+    label: 'Data Matrix',
+    resize: 'square',
+    carriesData: true,
+    schema: {
+      size: { type: 'number', required: true, positive: true }
+    },
+    validate: (element) => ElementRegistry._validateCodeSource(element),
+    controls: [
+      { prop: 'dataField', type: 'select', label: 'Field', options: ['fnsku', 'sku', 'asin', 'title', 'condition', 'expiry', 'lot'] },
+      { prop: 'template', type: 'text', label: 'Template' },
+      { prop: 'x', type: 'number', label: 'X (mm)', step: 0.5 },
+      { prop: 'y', type: 'number', label: 'Y (mm)', step: 0.5 },
+      { prop: 'size', type: 'number', label: 'Size (mm)', step: 0.5, min: 3 },
+      { prop: 'rotation', type: 'number', label: 'Rotation°', step: 90, min: 0, max: 270, default: 0 },
+    ],
+    defaults: {
+      dataField: 'fnsku',
+      template: '',
+      x: 2, y: 2, size: 10,
+      enabled: true
+    },
+
+    render(doc, element, data) {
+      const value = ElementRegistry._codeValue(element, data);
+      if (!value) return;
+
+      const matrix = ElementRegistry._encodeMatrix('datamatrix', value);
+      ElementRegistry._drawMatrix(doc, matrix, element);
+    },
+
+    bounds: (element) => ElementRegistry._squareBounds(element),
+
+    sketch(ctx, element, data) {
+      ElementRegistry._sketchMatrix(ctx, element, 'datamatrix', ElementRegistry._codeValue(element, data));
+    },
+
+    zpl(element, data, ctx) {
+      const value = ElementRegistry._codeValue(element, data);
+      if (!value) return '';
+
+      const matrix = ElementRegistry._encodeMatrix('datamatrix', value);
+      const module = ElementRegistry._matrixModuleDots(matrix, element, ctx);
+      const side   = module * Math.max(matrix.cols, matrix.rows);
+      const box    = ElementRegistry._dotBox(element, ctx, ctx.dots(element.x), ctx.dots(element.y), side, side);
+      const o      = 'NRIB'[ElementRegistry._quarterTurns(element)];
+      return `^FO${box.x},${box.y}^BX${o},${module},200${ctx.field(value)}`;
+    },
+
+    // DMATRIX has no rotation parameter; the symbol keeps its orientation
+    // and moves to the rotated element's box
+    tspl(element, data, ctx) {
+      const value = ElementRegistry._codeValue(element, data);
+      if (!value) return '';
+
+      const matrix = ElementRegistry._encodeMatrix('datamatrix', value);
+      const module = ElementRegistry._matrixModuleDots(matrix, element, ctx);
+      const side   = ctx.dots(element.size);
+      const box    = ElementRegistry._dotBox(element, ctx, ctx.dots(element.x), ctx.dots(element.y), side, side);
+      return `DMATRIX ${box.x},${box.y},${side},${side},x${module},${ctx.field(value)}`;
+    },
+
+    epl(element, data, ctx) {
+      const value = ElementRegistry._codeValue(element, data);
+      if (!value) return '';
+
+      const matrix = ElementRegistry._encodeMatrix('datamatrix', value);
+      return ElementRegistry._eplMatrix(matrix, element, ctx);
+    }
+  },
+
+  line: {
+    label: 'Line',
+    behindContent: true,
+    resize: 'line',
+    schema: {
+      width:       { type: 'number', required: true },
+      height:      { type: 'number', required: true },
+      strokeWidth: { type: 'number', min: 0 }
+    },
+    validate: (element) => element.width === 0 && element.height === 0 ? ['must have a non-zero length'] : [],
+    controls: [
+      { prop: 'x', type: 'number', label: 'X (mm)', step: 0.5 },
+      { prop: 'y', type: 'number', label: 'Y (mm)', step: 0.5 },
+      { prop: 'width', type: 'number', label: 'Length X', step: 0.5 },
+      { prop: 'height', type: 'number', label: 'Length Y', step: 0.5 },
+      { prop: 'strokeWidth', type: 'number', label: 'Stroke', step: 0.1, min: 0.1 },
+      { prop: 'rotation', type: 'number', label: 'Rotation°', step: 90, min: 0, max: 270, default: 0 },
+    ],
+    // width/height are the line's x/y extent from (x, y): 0 height = horizontal
+    defaults: {
+      x: 2, y: 16, width: 53, height: 0,
+      strokeWidth: 0.3,
+      enabled: true
+    },
+
+    render(doc, element) {
+      element = ElementRegistry._unrotateShape(element);
+      doc.setDrawColor(0, 0, 0);
+      doc.setLineWidth(element.strokeWidth || 0.3);
+      doc.line(element.x, element.y, element.x + element.width, element.y + element.height);
+    },
+
+    bounds(element) {
+      const x2 = element.x + (element.width  || 0);
+      const y2 = element.y + (element.height || 0);
+      return {
+        x: Math.min(element.x, x2), y: Math.min(element.y, y2),
+        width: Math.abs(x2 - element.x), height: Math.abs(y2 - element.y)
+      };
+    },
+
+    sketch(ctx, element) {
+      ctx.strokeStyle = '#000';
+      ctx.lineWidth   = element.strokeWidth || 0.3;
+      ctx.beginPath();
+      ctx.moveTo(element.x, element.y);
+      ctx.lineTo(element.x + (element.width || 0), element.y + (element.height || 0));
+      ctx.stroke();
+    },
+
+    zpl(element, data, ctx) {
+      const line = ElementRegistry._lineGeometry(ElementRegistry._unrotateShape(element), ctx);
+      if (line.w === 0 || line.h === 0) {
+        return `^FO${line.x},${line.y}^GB${Math.max(line.w, line.t)},${Math.max(line.h, line.t)},${line.t}^FS`;
+      }
+      // ^GD leans right (/) or left (\) within its bounding box
+      const lean = line.descending ? 'L' : 'R';
+      return `^FO${line.x},${line.y}^GD${line.w},${line.h},${line.t},B,${lean}^FS`;
+    },
+
+    tspl(element, data, ctx) {
+      const line = ElementRegistry._lineGeometry(ElementRegistry._unrotateShape(element), ctx);
+      if (line.w === 0 || line.h === 0) {
+        return `BAR ${line.x},${line.y},${Math.max(line.w, line.t)},${Math.max(line.h, line.t)}`;
+      }
+      const [y1, y2] = line.descending ? [line.y, line.y + line.h] : [line.y + line.h, line.y];
+      return `DIAGONAL ${line.x},${y1},${line.x + line.w},${y2},${line.t}`;
+    },
+
+    epl(element, data, ctx) {
+      const line = ElementRegistry._lineGeometry(ElementRegistry._unrotateShape(element), ctx);
+      if (line.w === 0 || line.h === 0) {
+        return `LO${line.x},${line.y},${Math.max(line.w, line.t)},${Math.max(line.h, line.t)}`;
+      }
+      const [y1, y2] = line.descending ? [line.y, line.y + line.h] : [line.y + line.h, line.y];
+      return `LS${line.x},${y1},${line.t},${line.x + line.w},${y2}`;
+    }
+  },
+
+  rect: {
+    label: 'Rectangle',
+    behindContent: true,
+    resize: 'box',
+    schema: {
+      width:       { type: 'number', required: true, positive: true },
+      height:      { type: 'number', required: true, positive: true },
+      strokeWidth: { type: 'number', min: 0 },
+      fill:        { oneOf: ['none', 'black', 'white'] },
+      radius:      { type: 'number', min: 0 }
+    },
+    controls: [
+      { prop: 'x', type: 'number', label: 'X (mm)', step: 0.5 },
+      { prop: 'y', type: 'number', label: 'Y (mm)', step: 0.5 },
+      { prop: 'width', type: 'number', label: 'Width', step: 0.5, min: 0.5 },
+      { prop: 'height', type: 'number', label: 'Height', step: 0.5, min: 0.5 },
+      { prop: 'strokeWidth', type: 'number', label: 'Stroke', step: 0.1, min: 0 },
+      { prop: 'fill', type: 'select', label: 'Fill', options: ['none', 'black', 'white'] },
+      { prop: 'radius', type: 'number', label: 'Radius', step: 0.5, min: 0 },
+      { prop: 'rotation', type: 'number', label: 'Rotation°', step: 90, min: 0, max: 270, default: 0 },
+    ],
+    defaults: {
+      x: 1, y: 1, width: 55, height: 30,
+      strokeWidth: 0.3,
+      fill: 'none',
+      radius: 0,
+      enabled: true
+    },
+
+    render(doc, element) {
+      element = ElementRegistry._unrotateShape(element);
+      const stroke = element.strokeWidth > 0;
+      const fill   = element.fill === 'black' || element.fill === 'white';
+      if (!stroke && !fill) return;
+
+      doc.setDrawColor(0, 0, 0);
+      doc.setLineWidth(element.strokeWidth || 0);
+      if (fill) {
+        const shade = element.fill === 'white' ? 255 : 0;
+        doc.setFillColor(shade, shade, shade);
+      }
+
+      const style  = fill && stroke ? 'FD' : (fill ? 'F' : 'S');
+      const radius = Math.min(element.radius || 0, element.width / 2, element.height / 2);
+      if (radius > 0) {
+        doc.roundedRect(element.x, element.y, element.width, element.height, radius, radius, style);
+      } else {
+        doc.rect(element.x, element.y, element.width, element.height, style);
+      }
+    },
+
+    bounds: (element) => ElementRegistry._boxBounds(element),
+
+    sketch(ctx, element) {
+      const radius = Math.min(element.radius || 0, element.width / 2, element.height / 2);
+      ctx.beginPath();
+      ctx.roundRect(element.x, element.y, element.width, element.height, radius);
+      if (element.fill === 'black' || element.fill === 'white') {
+        ctx.fillStyle = element.fill === 'white' ? '#fff' : '#000';
+        ctx.fill();
+      }
+      if (element.strokeWidth > 0) {
+        ctx.strokeStyle = '#000';
+        ctx.lineWidth   = element.strokeWidth;
+        ctx.stroke();
+      }
+    },
+
+    zpl(element, data, ctx) {
+      element   = ElementRegistry._unrotateShape(element);
+      const box = ElementRegistry._rectGeometry(element, ctx);
+      const min = Math.min(box.w, box.h);
+      // ^GB corner rounding is 0–8, a fraction of half the shorter side
+      const rounding = Math.min(8, Math.round((ctx.dots(element.radius || 0) / (min / 2)) * 8));
+      const lines    = [];
+
+      if (box.fill) {
+        lines.push(`^FO${box.x},${box.y}^GB${box.w},${box.h},${min},${box.fill === 'white' ? 'W' : 'B'},${rounding}^FS`);
+      }
+      if (box.t > 0) {
+        lines.push(`^FO${box.x},${box.y}^GB${box.w},${box.h},${box.t},B,${rounding}^FS`);
+      }
+      return lines.join('\n');
+    },
+
+    tspl(element, data, ctx) {
+      element     = ElementRegistry._unrotateShape(element);
+      const box   = ElementRegistry._rectGeometry(element, ctx);
+      const lines = [];
+
+      if (box.fill === 'black') lines.push(`BAR ${box.x},${box.y},${box.w},${box.h}`);
+      if (box.fill === 'white') lines.push(`ERASE ${box.x},${box.y},${box.w},${box.h}`);
+      if (box.t > 0) {
+        const radius = ctx.dots(element.radius || 0);
+        lines.push(`BOX ${box.x},${box.y},${box.x + box.w},${box.y + box.h},${box.t}${radius ? `,${radius}` : ''}`);
+      }
+      return lines.join('\n');
+    },
+
+    // EPL2 boxes have square corners only; radius is ignored
+    epl(element, data, ctx) {
+      element     = ElementRegistry._unrotateShape(element);
+      const box   = ElementRegistry._rectGeometry(element, ctx);
+      const lines = [];
+
+      if (box.fill === 'black') lines.push(`LO${box.x},${box.y},${box.w},${box.h}`);
+      if (box.fill === 'white') lines.push(`LW${box.x},${box.y},${box.w},${box.h}`);
+      if (box.t > 0) lines.push(`X${box.x},${box.y},${box.t},${box.x + box.w},${box.y + box.h}`);
+      return lines.join('\n');
     }
   },
 
@@ -177,6 +774,842 @@ const ElementRegistry = {
     });
   },
 
+  // Data fields holding dates, which data_text prints in the label's date format
+  dateFields: ['expiry'],
+
+  /**
+   * Resolve a data_text element's display value and font size.
+   * Long single-line values step the font size down so titles stay on the
+   * label; wrapped text (boxWidth set) keeps the configured size.
+   */
+  _dataTextContent(element, data) {
+    const field   = String(data[element.dataField] || '');
+    const raw     = field && ElementRegistry.dateFields.includes(element.dataField)
+      ? TemplateString.formatters.date(field, undefined, data)
+      : field;
+    const prefix  = element.prefixField ? String(data[element.prefixField] || '') : '';
+    let value     = prefix ? `${prefix} ${raw}` : raw;
+
+    if (element.maxLength && value.length > element.maxLength) {
+      value = value.substring(0, element.maxLength) + '…';
+    }
+
+    let fontSize = element.fontSize || 8;
+    if (!element.boxWidth) {
+      if (value.length > 30 && fontSize > 6) fontSize = Math.max(5, fontSize - 2);
+      if (value.length > 50 && fontSize > 5) fontSize = Math.max(4, fontSize - 1);
+    }
+
+    return { value, fontSize };
+  },
+
+  /**
+   * Content for a 2D code: the element's template string when set
+   * (see TemplateString), otherwise its dataField.
+   */
+  _codeValue(element, data) {
+    if (element.template) {
+      return TemplateString.render(element.template, data).trim();
+    }
+    return String(data[element.dataField] || '');
+  },
+
+  /**
+   * Encode a 2D symbol with bwip-js into a module matrix.
+   * Dark modules are returned as horizontal runs so each can be drawn as one
+   * rectangle, not one per module.
+   *
+   * @returns {{cols: number, rows: number, runs: Array<{x: number, y: number, length: number}>}}
+   */
+  _encodeMatrix(bcid, value, options = {}) {
+    const [symbol] = bwipjs.raw({ bcid, text: value, ...options });
+    const { pixs, pixx: cols, pixy: rows } = symbol;
+
+    const runs = [];
+    for (let y = 0; y < rows; y++) {
+      let start = -1;
+      for (let x = 0; x <= cols; x++) {
+        const dark = x < cols && pixs[y * cols + x];
+        if (dark && start < 0) start = x;
+        if (!dark && start >= 0) {
+          runs.push({ x: start, y, length: x - start });
+          start = -1;
+        }
+      }
+    }
+
+    return { cols, rows, runs };
+  },
+
+  /**
+   * Draw a module matrix as vector rectangles, scaled to fit element.size.
+   */
+  _drawMatrix(doc, matrix, element) {
+    const module   = element.size / Math.max(matrix.cols, matrix.rows);
+    const rotation = ElementRegistry._rotation(element);
+
+    doc.setFillColor(0, 0, 0);
+    for (const run of matrix.runs) {
+      const box = ElementRegistry._rotateBox(
+        element.x + run.x * module,
+        element.y + run.y * module,
+        run.length * module,
+        module,
+        element.x, element.y, rotation
+      );
+      doc.rect(box.x, box.y, box.width, box.height, 'F');
+    }
+  },
+
+  /**
+   * Largest whole-dot module size that keeps the symbol within element.size.
+   */
+  _matrixModuleDots(matrix, element, ctx) {
+    const box = ctx.dots(element.size);
+    return Math.min(10, Math.max(1, Math.floor(box / Math.max(matrix.cols, matrix.rows))));
+  },
+
+  /**
+   * EPL2 has no portable 2D barcode command, so draw the matrix as LO
+   * (line draw black) boxes — one per run of dark modules.
+   */
+  _eplMatrix(matrix, element, ctx) {
+    const module = ElementRegistry._matrixModuleDots(matrix, element, ctx);
+    const x0 = ctx.dots(element.x);
+    const y0 = ctx.dots(element.y);
+
+    return matrix.runs
+      .map(run => ElementRegistry._dotBox(element, ctx, x0 + run.x * module, y0 + run.y * module, run.length * module, module))
+      .map(box => `LO${box.x},${box.y},${box.width},${box.height}`)
+      .join('\n');
+  },
+
+  /**
+   * Draw a text element into the PDF, wrapped into its box when boxWidth is set.
+   * element.y is the first line's baseline; x anchors per element.align.
+   * Rotated text turns clockwise about that anchor.
+   * @returns {{fontSize: number}} Size actually rendered, after shrink-to-fit
+   */
+  _pdfText(doc, element, value, fontSize) {
+    doc.setFont(FontRegistry.resolve(doc, element, value), element.bold ? 'bold' : 'normal');
+
+    const size = ElementRegistry._fitFontSize(element, value, fontSize, (text, candidate) => {
+      doc.setFontSize(candidate);
+      return doc.getTextWidth(text);
+    });
+    doc.setFontSize(size);
+    doc.setTextColor(element.color === 'white' ? 255 : 0);
+
+    const lines    = ElementRegistry._wrapText(element, value, text => doc.getTextWidth(text));
+    const rotation = ElementRegistry._rotation(element);
+
+    if (!rotation) {
+      doc.text(lines, element.x, element.y, {
+        align: element.align || 'left',
+        lineHeightFactor: element.lineHeight || 1.15
+      });
+      return { fontSize: size };
+    }
+
+    // jsPDF aligns and advances lines along the unrotated axes, so place
+    // each line's start point ourselves. Its angle runs counter-clockwise.
+    const step = size * (element.lineHeight || 1.15) * 25.4 / 72;
+    lines.forEach((line, i) => {
+      const width = doc.getTextWidth(line);
+      const shift = { center: width / 2, right: width }[element.align] || 0;
+      const at    = ElementRegistry._rotatePoint(
+        element.x - shift, element.y + i * step, element.x, element.y, rotation
+      );
+      doc.text(line, at.x, at.y, { angle: -rotation });
+    });
+
+    return { fontSize: size };
+  },
+
+  /**
+   * Printer-language text, one command per wrapped line. Lines are measured
+   * with Helvetica metrics so they break where the PDF does. fontFamily does
+   * not apply — printers draw with their resident fonts. Printers only turn
+   * text in quarter turns, so other angles snap to the nearest one.
+   */
+  _printerText(element, value, fontSize, ctx) {
+    const render = {
+      zpl:  ElementRegistry._zplText,
+      tspl: ElementRegistry._tsplText,
+      epl:  ElementRegistry._eplText
+    }[ctx.language];
+
+    const size = ElementRegistry._fitFontSize(element, value, fontSize, (text, candidate) =>
+      ElementRegistry._measureText(text, candidate, element.bold)
+    );
+    const lines = ElementRegistry._wrapText(element, value, text =>
+      ElementRegistry._measureText(text, size, element.bold)
+    );
+    const step = size * (element.lineHeight || 1.15) * 25.4 / 72;
+    const turn = ElementRegistry._quarterTurns(element) * 90;
+
+    return lines
+      .map((line, i) => {
+        const at = ElementRegistry._rotatePoint(element.x, element.y + i * step, element.x, element.y, turn);
+        return render({ ...element, x: at.x, y: at.y }, line, size, ctx);
+      })
+      .join('\n');
+  },
+
+  /**
+   * Shrink-to-fit (fit: 'shrink'): step the font size down by 0.5 pt until the
+   * text fits element.boxWidth within maxLines — one line unless set — or
+   * minFontSize is reached. Any other fit mode returns fontSize unchanged.
+   *
+   * @param {Function} measure - (text, fontSize) → width in mm
+   */
+  _fitFontSize(element, value, fontSize, measure) {
+    if (element.fit !== 'shrink' || !(element.boxWidth > 0)) return fontSize;
+
+    const minSize   = ElementRegistry._shrinkLimit(element, fontSize);
+    const maxLines  = element.maxLines > 0 ? Math.floor(element.maxLines) : 1;
+    const unbounded = { ...element, fit: 'none', maxLines: 0 };
+
+    let size = fontSize;
+    while (size > minSize) {
+      const lines = ElementRegistry._wrapText(unbounded, value, text => measure(text, size));
+      if (lines.length <= maxLines) break;
+      size = Math.max(minSize, size - 0.5);
+    }
+    return size;
+  },
+
+  /**
+   * Smallest size shrink-to-fit may reach: minFontSize, default 4pt.
+   * Elements that don't shrink stay at fontSize.
+   */
+  _shrinkLimit(element, fontSize) {
+    if (element.fit !== 'shrink' || !(element.boxWidth > 0)) return fontSize;
+    return Math.min(fontSize, element.minFontSize > 0 ? element.minFontSize : 4);
+  },
+
+  /**
+   * Break text into lines no wider than element.boxWidth (mm), on word
+   * boundaries; a word wider than the box is split by characters. Without a
+   * boxWidth the text stays on one line. Past maxLines (one line in shrink
+   * mode unless set), the last kept line is shortened to fit an ellipsis.
+   *
+   * @param {Function} measure - text → width in mm at the element's font
+   * @returns {string[]} Lines
+   */
+  _wrapText(element, value, measure) {
+    const boxWidth = element.boxWidth;
+    if (!(boxWidth > 0)) return [value];
+
+    const lines = [];
+    let line = '';
+
+    for (const word of value.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (measure(candidate) <= boxWidth) {
+        line = candidate;
+        continue;
+      }
+
+      if (line) lines.push(line);
+
+      let rest = word;
+      while (rest.length > 1 && measure(rest) > boxWidth) {
+        let cut = rest.length - 1;
+        while (cut > 1 && measure(rest.slice(0, cut)) > boxWidth) cut--;
+        lines.push(rest.slice(0, cut));
+        rest = rest.slice(cut);
+      }
+      line = rest;
+    }
+    if (line) lines.push(line);
+
+    const maxLines = element.maxLines > 0
+      ? Math.floor(element.maxLines)
+      : (element.fit === 'shrink' ? 1 : Infinity);
+    if (lines.length <= maxLines) return lines;
+
+    const kept = lines.slice(0, maxLines);
+    let last = kept[maxLines - 1];
+    while (last && measure(`${last}…`) > boxWidth) last = last.slice(0, -1);
+    kept[maxLines - 1] = `${last.trimEnd()}…`;
+    return kept;
+  },
+
+  /**
+   * Helvetica text width in mm, from a scratch jsPDF document.
+   */
+  _measureText(text, fontSize, bold) {
+    if (!ElementRegistry._measureDoc) {
+      ElementRegistry._measureDoc = new jspdf.jsPDF({ unit: 'mm' });
+    }
+    const doc = ElementRegistry._measureDoc;
+    doc.setFont('helvetica', bold ? 'bold' : 'normal');
+    doc.setFontSize(fontSize);
+    return doc.getTextWidth(text);
+  },
+
+  _measureDoc: null,
+
+  // ─── Designer Sketches ───────────────────────────────────────────────────────
+  // `sketch` hooks draw an element onto a 2D canvas context whose units are mm,
+  // unrotated — the label designer applies scale and rotation around them.
+
+  /**
+   * Text as the PDF lays it out: same wrapping, shrink-to-fit and line height,
+   * measured with the canvas's Helvetica instead of jsPDF's.
+   */
+  _sketchText(ctx, element, { value, fontSize }) {
+    if (!value) return;
+
+    const font = (size) =>
+      `${element.bold ? 'bold ' : ''}${size * 25.4 / 72}px Helvetica, Arial, sans-serif`;
+    const size = ElementRegistry._fitFontSize(element, value, fontSize, (text, candidate) => {
+      ctx.font = font(candidate);
+      return ctx.measureText(text).width;
+    });
+    ctx.font         = font(size);
+    ctx.fillStyle    = element.color === 'white' ? '#fff' : '#000';
+    ctx.textAlign    = element.align || 'left';
+    ctx.textBaseline = 'alphabetic';
+
+    const step  = size * (element.lineHeight || 1.15) * 25.4 / 72;
+    const lines = ElementRegistry._wrapText(element, value, text => ctx.measureText(text).width);
+    lines.forEach((line, i) => ctx.fillText(line, element.x, element.y + i * step));
+  },
+
+  /**
+   * Stand-in bars for a 1D barcode — widths vary with the value so
+   * different contents look different, but this is not a scannable symbol.
+   */
+  _sketchBars(ctx, element, value) {
+    const { x, y, width, height } = element;
+    const seed  = value || '0';
+    const units = [];
+    for (let i = 0; i < seed.length * 3 + 6; i++) {
+      units.push(1 + (seed.charCodeAt(i % seed.length) + i) % 3);
+    }
+
+    const total = units.reduce((sum, u) => sum + u, 0);
+    const unit  = width / total;
+    ctx.fillStyle = '#000';
+    let cursor = x;
+    units.forEach((u, i) => {
+      if (i % 2 === 0) ctx.fillRect(cursor, y, u * unit, height);
+      cursor += u * unit;
+    });
+  },
+
+  _sketchMatrix(ctx, element, bcid, value, options = {}) {
+    let matrix = null;
+    try {
+      if (value) matrix = ElementRegistry._encodeMatrix(bcid, value, options);
+    } catch {
+      // Unencodable content — fall through to the placeholder box
+    }
+
+    if (!matrix) {
+      ctx.strokeStyle = '#adb5bd';
+      ctx.lineWidth   = 0.2;
+      ctx.strokeRect(element.x, element.y, element.size, element.size);
+      return;
+    }
+
+    const module = element.size / Math.max(matrix.cols, matrix.rows);
+    ctx.fillStyle = '#000';
+    for (const run of matrix.runs) {
+      ctx.fillRect(element.x + run.x * module, element.y + run.y * module, run.length * module, module);
+    }
+  },
+
+  // ─── Rotation & Bounds ───────────────────────────────────────────────────────
+
+  /**
+   * Axis-aligned box an element covers on the label, in mm, after rotation.
+   * Text without a boxWidth has no known width until rendered: with product
+   * `data` it is measured, otherwise its box is the anchor column only.
+   * @returns {{x: number, y: number, width: number, height: number}}
+   */
+  getBounds(element, data = null) {
+    const box = ElementRegistry.getLocalBounds(element, data);
+
+    return ElementRegistry._rotateBox(
+      box.x, box.y, box.width, box.height,
+      element.x, element.y, ElementRegistry._rotation(element)
+    );
+  },
+
+  /**
+   * The element's box before rotation, in mm — the frame its rotation
+   * turns about (element.x, element.y).
+   */
+  getLocalBounds(element, data = null) {
+    const typeDef = ElementRegistry[element.type];
+    return typeDef?.bounds
+      ? typeDef.bounds(element, data)
+      : { x: element.x, y: element.y, width: 0, height: 0 };
+  },
+
+  /**
+   * Clockwise rotation in degrees, in [0, 360). Only freeRotation types
+   * (text) take any angle; the rest snap to the nearest quarter turn.
+   */
+  _rotation(element) {
+    if (!ElementRegistry[element.type]?.freeRotation) {
+      return ElementRegistry._quarterTurns(element) * 90;
+    }
+    return ((Number(element.rotation) || 0) % 360 + 360) % 360;
+  },
+
+  /**
+   * Rotation as whole clockwise quarter turns (0–3), the steps printer
+   * languages support.
+   */
+  _quarterTurns(element) {
+    const angle = ((Number(element.rotation) || 0) % 360 + 360) % 360;
+    return Math.round(angle / 90) % 4;
+  },
+
+  /**
+   * Turn a point clockwise (page y points down) about (cx, cy).
+   */
+  _rotatePoint(x, y, cx, cy, degrees) {
+    if (!degrees) return { x, y };
+    const rad = degrees * Math.PI / 180;
+    const cos = Math.cos(rad);
+    const sin = Math.sin(rad);
+    const dx  = x - cx;
+    const dy  = y - cy;
+    return { x: cx + dx * cos - dy * sin, y: cy + dx * sin + dy * cos };
+  },
+
+  /**
+   * Axis-aligned bounding box of a box turned clockwise about (cx, cy).
+   */
+  _rotateBox(x, y, width, height, cx, cy, degrees) {
+    if (!degrees) return { x, y, width, height };
+
+    const corners = [[x, y], [x + width, y], [x, y + height], [x + width, y + height]]
+      .map(([px, py]) => ElementRegistry._rotatePoint(px, py, cx, cy, degrees));
+    const xs = corners.map(c => c.x);
+    const ys = corners.map(c => c.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    return { x: minX, y: minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY };
+  },
+
+  /**
+   * A dot-space point turned by the element's quarter turns about its anchor.
+   */
+  _dotPoint(element, ctx, x, y) {
+    const at = ElementRegistry._rotatePoint(
+      x, y, ctx.dots(element.x), ctx.dots(element.y), ElementRegistry._quarterTurns(element) * 90
+    );
+    return { x: Math.round(at.x), y: Math.round(at.y) };
+  },
+
+  /**
+   * A dot-space box turned by the element's quarter turns about its anchor.
+   */
+  _dotBox(element, ctx, x, y, width, height) {
+    const box = ElementRegistry._rotateBox(
+      x, y, width, height, ctx.dots(element.x), ctx.dots(element.y), ElementRegistry._quarterTurns(element) * 90
+    );
+    return {
+      x: Math.round(box.x), y: Math.round(box.y),
+      width: Math.round(box.width), height: Math.round(box.height)
+    };
+  },
+
+  /**
+   * Lines and rectangles stay axis-aligned in quarter turns, so a rotated
+   * shape is drawn as the equivalent unrotated one.
+   */
+  _unrotateShape(element) {
+    const rotation = ElementRegistry._rotation(element);
+    if (!rotation) return element;
+
+    if (element.type === 'line') {
+      const end = ElementRegistry._rotatePoint(
+        element.x + (element.width || 0), element.y + (element.height || 0), element.x, element.y, rotation
+      );
+      return { ...element, rotation: 0, width: end.x - element.x, height: end.y - element.y };
+    }
+
+    const box = ElementRegistry._rotateBox(
+      element.x, element.y, element.width, element.height, element.x, element.y, rotation
+    );
+    return { ...element, ...box, rotation: 0 };
+  },
+
+  /**
+   * Add an image at the element's box, turned about its top-left corner.
+   * jsPDF turns images counter-clockwise about their bottom-left corner, so
+   * the placement is offset to keep the pivot where the element expects it.
+   */
+  _addImage(doc, dataURL, format, element) {
+    const { x, y, width, height } = element;
+    const rotation = ElementRegistry._rotation(element);
+    if (!rotation) {
+      doc.addImage(dataURL, format, x, y, width, height);
+      return;
+    }
+
+    const rad = rotation * Math.PI / 180;
+    doc.addImage(
+      dataURL, format,
+      x - height * Math.sin(rad),
+      y + height * Math.cos(rad) - height,
+      width, height,
+      undefined, undefined,
+      360 - rotation
+    );
+  },
+
+  _boxBounds(element) {
+    return { x: element.x, y: element.y, width: element.width || 0, height: element.height || 0 };
+  },
+
+  _squareBounds(element) {
+    return { x: element.x, y: element.y, width: element.size || 0, height: element.size || 0 };
+  },
+
+  /**
+   * Unrotated text box: ascent above the first baseline to the last allowed
+   * line's descent, boxWidth wide (anchored per align) when set. Given the
+   * resolved { value, fontSize }, unboxed text is measured instead.
+   */
+  _textBounds(element, content = null) {
+    const em     = (content?.fontSize || element.fontSize || 8) * 25.4 / 72;
+    const width  = element.boxWidth > 0 ? element.boxWidth
+      : (content?.value ? ElementRegistry._measureText(content.value, content.fontSize, element.bold) : 0);
+    const lines  = element.boxWidth > 0 && element.maxLines > 0 ? Math.floor(element.maxLines) : 1;
+    const shift  = { center: width / 2, right: width }[element.align] || 0;
+    const step   = em * (element.lineHeight || 1.15);
+    return {
+      x: element.x - shift,
+      y: element.y - em * 0.8,
+      width,
+      height: em + (lines - 1) * step
+    };
+  },
+
+  /**
+   * Dot-space bounding box of a line element. Lines may point in any
+   * direction, so the box starts at the smaller corner.
+   */
+  _lineGeometry(element, ctx) {
+    const x1 = element.x, x2 = element.x + (element.width  || 0);
+    const y1 = element.y, y2 = element.y + (element.height || 0);
+    return {
+      x: ctx.dots(Math.min(x1, x2)),
+      y: ctx.dots(Math.min(y1, y2)),
+      w: ctx.dots(Math.abs(x2 - x1)),
+      h: ctx.dots(Math.abs(y2 - y1)),
+      t: Math.max(1, ctx.dots(element.strokeWidth || 0.3)),
+      // top-left to bottom-right (\) when both extents share a sign
+      descending: (x2 - x1) * (y2 - y1) > 0
+    };
+  },
+
+  _rectGeometry(element, ctx) {
+    const fill = ['black', 'white'].includes(element.fill) ? element.fill : null;
+    return {
+      x: ctx.dots(element.x),
+      y: ctx.dots(element.y),
+      w: Math.max(1, ctx.dots(element.width)),
+      h: Math.max(1, ctx.dots(element.height)),
+      t: element.strokeWidth > 0 ? Math.max(1, ctx.dots(element.strokeWidth)) : 0,
+      fill
+    };
+  },
+
+  /**
+   * Printer-language text placement. Element y is a baseline (as in jsPDF)
+   * while printer text origins are the top-left corner, so shift up by the
+   * approximate ascent.
+   */
+  _textGeometry(element, fontSize, ctx) {
+    const heightMm = fontSize * 25.4 / 72;
+    return {
+      x:      ctx.dots(element.x),
+      top:    Math.max(0, ctx.dots(element.y - heightMm * 0.8)),
+      height: Math.max(10, ctx.dots(heightMm))
+    };
+  },
+
+  /**
+   * Build a ZPL text field. Centered and right-aligned text uses a one-line
+   * ^FB block anchored on element.x.
+   */
+  _zplText(element, value, fontSize, ctx) {
+    const { x, top, height } = ElementRegistry._textGeometry(element, fontSize, ctx);
+    const labelW   = ctx.dots(ctx.template.width);
+    const turns    = ElementRegistry._quarterTurns(element);
+    const font     = `^A0${'NRIB'[turns]},${height},${height}`;
+
+    let origin = x;
+    let top0   = top;
+    let block  = '';
+    if (turns) {
+      // ^FB would align along the unrotated axis — align by measured width
+      // instead, then move ^FO to the rotated field's top-left corner
+      const width = ctx.dots(ElementRegistry._measureText(value, fontSize, element.bold));
+      const shift = { center: Math.round(width / 2), right: width }[element.align] || 0;
+      const box   = ElementRegistry._dotBox(element, ctx, x - shift, top, width, height);
+      origin = box.x;
+      top0   = box.y;
+    } else if (element.align === 'center') {
+      const half = Math.min(x, labelW - x);
+      origin = x - half;
+      block  = `^FB${half * 2},1,0,C,0`;
+    } else if (element.align === 'right') {
+      origin = 0;
+      block  = `^FB${x},1,0,R,0`;
+    }
+
+    // White text prints as ^FR (field reverse) so it knocks out of a black box
+    const reverse = element.color === 'white' ? '^FR' : '';
+    const field   = (dx) => `^FO${origin + dx},${top0}${font}${block}${reverse}${ctx.field(value)}`;
+    // ^A0 has no bold weight — overprint one dot to the right instead.
+    // Not for reversed fields: ^FR XORs, so the overlap would cancel out
+    return element.bold && !reverse ? `${field(0)}\n${field(1)}` : field(0);
+  },
+
+  /**
+   * Build a TSPL TEXT command using the scalable font "0", whose multipliers
+   * are point sizes. The alignment parameter anchors element.x like jsPDF does.
+   */
+  _tsplText(element, value, fontSize, ctx) {
+    const { x, top, height } = ElementRegistry._textGeometry(element, fontSize, ctx);
+    const turns  = ElementRegistry._quarterTurns(element);
+    const points = Math.max(1, Math.round(fontSize)); // font "0" multipliers are whole points
+    const width  = Math.ceil(value.length * height * 0.6) + 2;
+
+    // Rotated text turns about its reference point, and the alignment
+    // parameter works along the unrotated axis — so align by estimated width
+    const align = { left: 1, center: 2, right: 3 }[element.align] || 1;
+    const left  = { 1: x, 2: x - Math.round(width / 2), 3: x - width }[align];
+    const ref   = turns ? ElementRegistry._dotPoint(element, ctx, left, top) : { x, y: top };
+
+    const text   = (dx) => `TEXT ${ref.x + dx},${ref.y},"0",${turns * 90},${points},${points},${turns ? 1 : align},${ctx.field(value)}`;
+    // No bold weight in font "0" — overprint one dot to the right instead
+    const output = element.bold ? `${text(0)}\n${text(1)}` : text(0);
+    if (element.color !== 'white') return output;
+
+    // TSPL text is always black: invert the text's area, print it, then invert
+    // again so the background is restored and the glyphs come out white
+    const area   = ElementRegistry._dotBox(element, ctx, left, top, width, height);
+    const region = `REVERSE ${Math.max(0, area.x)},${Math.max(0, area.y)},${area.width},${area.height}`;
+    return `${region}\n${output}\n${region}`;
+  },
+
+  /**
+   * Build an EPL2 ASCII text command. EPL only has fixed bitmap fonts and no
+   * alignment, so pick the closest font × multiplier and offset x by the
+   * estimated text width.
+   */
+  _eplText(element, value, fontSize, ctx) {
+    const { x, top, height } = ElementRegistry._textGeometry(element, fontSize, ctx);
+    const { font, width, mul } = ElementRegistry._eplFont(height, ctx.dpi);
+    const textWidth = value.length * width * mul;
+
+    let origin = x;
+    if (element.align === 'center') origin = x - Math.round(textWidth / 2);
+    if (element.align === 'right')  origin = x - textWidth;
+
+    // EPL2 turns text about its start point, as TSPL does
+    const turns = ElementRegistry._quarterTurns(element);
+    const at    = ElementRegistry._dotPoint(element, ctx, origin, top);
+
+    // 'R' prints the field reverse (white on black), matching a white text color
+    const reverse = element.color === 'white' ? 'R' : 'N';
+    const text = (dx) => `A${Math.max(0, at.x) + dx},${Math.max(0, at.y)},${turns},${font},${mul},${mul},${reverse},${ctx.field(value)}`;
+    // A reversed field paints its own black background, which would cover the overprint
+    return element.bold && reverse === 'N' ? `${text(0)}\n${text(1)}` : text(0);
+  },
+
+  /**
+   * Closest EPL2 resident font (1–5) and uniform multiplier for a target
+   * character height in dots. Cell sizes differ between 203 and 300 dpi heads.
+   */
+  _eplFont(height, dpi) {
+    const fonts = dpi >= 300
+      ? { 1: [12, 20], 2: [16, 28], 3: [20, 36], 4: [24, 44], 5: [48, 80] }
+      : { 1: [8, 12],  2: [10, 16], 3: [12, 20], 4: [14, 24], 5: [32, 48] };
+
+    let best = { font: 1, width: fonts[1][0], mul: 1, diff: Infinity };
+    for (const [font, [width, cell]] of Object.entries(fonts)) {
+      for (let mul = 1; mul <= 6; mul++) {
+        const diff = Math.abs(cell * mul - height);
+        if (diff < best.diff) best = { font, width, mul, diff };
+      }
+    }
+    return best;
+  },
+
+  /**
+   * Dot-space placement for native printer barcodes: the widest whole-dot
+   * module that fits the element box, centered in it like the PDF image.
+   */
+  _barcodeGeometry(element, value, ctx) {
+    const format  = element.format || ctx.settings.barcodeFormat || 'CODE128';
+    const box     = ctx.dots(element.width);
+    const modules = ElementRegistry._estimateBarcodeModules(format, String(value));
+    const module  = Math.min(10, Math.max(1, Math.floor(box / modules)));
+
+    return {
+      format,
+      module,
+      width:  modules * module,
+      x:      ctx.dots(element.x) + Math.max(0, Math.floor((box - modules * module) / 2)),
+      y:      ctx.dots(element.y),
+      height: ctx.dots(element.height)
+    };
+  },
+
+  /**
+   * Approximate symbol width in modules, used to pick a whole-dot module
+   * width for native printer barcodes.
+   */
+  _estimateBarcodeModules(format, value) {
+    switch (format) {
+      case 'CODE39':
+        return (value.length + 2) * 16;
+      case 'EAN13':
+        return 95;
+      case 'CODE128':
+      default: {
+        // Automatic subset switching packs even-length digit runs two per symbol
+        const symbols = /^\d+$/.test(value) && value.length % 2 === 0
+          ? value.length / 2
+          : value.length;
+        return 11 * (symbols + 3) + 2;
+      }
+    }
+  },
+
+  /**
+   * Threshold an image into a 1-bit bitmap as uppercase hex rows
+   * (set bit = black dot), the layout ZPL ^GF and similar commands expect.
+   * `turns` rotates the image clockwise in quarter turns; width and height
+   * are the unrotated size. Resolves null if the image cannot be decoded.
+   */
+  _toMonochromeHex(dataURL, imageWidth, imageHeight, turns = 0) {
+    return new Promise((resolve) => {
+      const img = new Image();
+      img.onload = () => {
+        try {
+          const sideways = turns % 2 === 1;
+          const width    = sideways ? imageHeight : imageWidth;
+          const height   = sideways ? imageWidth  : imageHeight;
+
+          const canvas = document.createElement('canvas');
+          canvas.width  = width;
+          canvas.height = height;
+          const ctx = canvas.getContext('2d');
+          ctx.fillStyle = '#fff';
+          ctx.fillRect(0, 0, width, height);
+          ctx.translate(width / 2, height / 2);
+          ctx.rotate(turns * Math.PI / 2);
+          ctx.drawImage(img, -imageWidth / 2, -imageHeight / 2, imageWidth, imageHeight);
+          const pixels = ctx.getImageData(0, 0, width, height).data;
+
+          const bytesPerRow = Math.ceil(width / 8);
+          let hex = '';
+          for (let y = 0; y < height; y++) {
+            for (let b = 0; b < bytesPerRow; b++) {
+              let byte = 0;
+              for (let bit = 0; bit < 8; bit++) {
+                const x = b * 8 + bit;
+                if (x >= width) continue;
+                const i = (y * width + x) * 4;
+                const luminance = 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+                if (luminance < 128) byte |= 0x80 >> bit;
+              }
+              hex += byte.toString(16).toUpperCase().padStart(2, '0');
+            }
+          }
+          resolve({ bytesPerRow, rows: height, hex });
+        } catch {
+          resolve(null);
+        }
+      };
+      img.onerror = () => resolve(null);
+      img.src = dataURL;
+    });
+  },
+
+  // ─── Validation ──────────────────────────────────────────────────────────────
+
+  /**
+   * Check an element against its type's schema and validate hook.
+   * Schema rules: { type, required, positive, min, nonEmpty, oneOf }.
+   * Optional properties that are unset (undefined, null or '') pass.
+   *
+   * @returns {string[]} Problems, phrased to follow the property name
+   *   context, e.g. "width must be a positive number"
+   */
+  validateElement(element) {
+    const typeDef = ElementRegistry[element.type];
+    if (!typeDef) return [];
+
+    const errors = [];
+    for (const [prop, rule] of Object.entries(typeDef.schema || {})) {
+      const value = element[prop];
+      const unset = value === undefined || value === null || value === '';
+
+      if (unset) {
+        if (rule.required) errors.push(ElementRegistry._schemaMessage(prop, rule));
+        continue;
+      }
+
+      const valid =
+        (!rule.type     || typeof value === rule.type) &&
+        (rule.type !== 'number' || isFinite(value)) &&
+        (!rule.positive || value > 0) &&
+        (rule.min === undefined || value >= rule.min) &&
+        (!rule.nonEmpty || String(value).trim() !== '') &&
+        (!rule.oneOf    || rule.oneOf.includes(value));
+      if (!valid) errors.push(ElementRegistry._schemaMessage(prop, rule));
+    }
+
+    return errors.concat(typeDef.validate ? typeDef.validate(element) : []);
+  },
+
+  _schemaMessage(prop, rule) {
+    if (rule.oneOf)    return `${prop} must be one of: ${rule.oneOf.join(', ')}`;
+    if (rule.positive) return `${prop} must be a positive number`;
+    if (rule.min === 0) return `${prop} must be a non-negative number`;
+    if (rule.min !== undefined) return `${prop} must be a number of at least ${rule.min}`;
+    if (rule.nonEmpty) return `${prop} must be a non-empty ${rule.type || 'value'}`;
+    return `${prop} must be a ${rule.type || 'value'}`;
+  },
+
+  _validateCodeSource(element) {
+    return element.template || element.dataField ? [] : ['needs a dataField or template'];
+  },
+
+  /**
+   * Product data fields a template prints: the data fields, prefixes and
+   * template-string placeholders of its enabled elements. Visibility rules
+   * don't count — they decide whether an element prints, not what.
+   * @returns {string[]}
+   */
+  templateFields(template) {
+    const fields = new Set();
+    for (const element of template?.elements || []) {
+      if (element.enabled === false) continue;
+      if (element.template) {
+        TemplateString.fields(element.template).forEach(field => fields.add(field));
+      } else if (element.dataField) {
+        fields.add(element.dataField);
+      }
+      if (element.prefixField) fields.add(element.prefixField);
+    }
+    return [...fields];
+  },
+
   /**
    * Generate a unique element ID.
    */
@@ -201,7 +1634,7 @@ const ElementRegistry = {
    * All registered type keys (excludes utility methods).
    */
   get types() {
-    return ['barcode', 'data_text', 'static_text', 'image'];
+    return ['barcode', 'qr_code', 'datamatrix', 'data_text', 'static_text', 'template_text', 'image', 'line', 'rect'];
   }
 };
 
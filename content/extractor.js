@@ -33,7 +33,7 @@ class AmazonDataExtractor {
    * @returns {Object} Product data object
    */
   extractProductData(rowElement) {
-    const sku = rowElement.getAttribute('data-sku');
+    const sku = this.getSku(rowElement);
     
     if (!sku) {
       throw new Error('No SKU found in row element');
@@ -56,6 +56,15 @@ class AmazonDataExtractor {
     return data;
   }
 
+  /**
+   * Read the row's SKU. Inventory rows carry it as data-sku.
+   * @param {HTMLElement} rowElement - Row element
+   * @returns {string|null} SKU
+   */
+  getSku(rowElement) {
+    return rowElement.getAttribute('data-sku');
+  }
+
   /**
    * Try multiple extraction strategies until one succeeds
    * @param {string} dataType - Type of data to extract
@@ -106,7 +115,7 @@ class AmazonDataExtractor {
    * @returns {string|null} User-provided FNSKU
    */
   promptFNSKUInput(rowElement) {
-    const sku = rowElement.getAttribute('data-sku');
+    const sku = this.getSku(rowElement);
     const userInput = prompt(`Could not automatically find FNSKU for SKU: ${sku}\nPlease enter the FNSKU manually:`);
     
     if (userInput && /^[A-Z]\d{9}[A-Z]$/.test(userInput.trim())) {
@@ -177,7 +186,7 @@ class AmazonDataExtractor {
    * @returns {string} Fallback title
    */
   generateFallbackTitle(rowElement) {
-    const sku = rowElement.getAttribute('data-sku');
+    const sku = this.getSku(rowElement);
     return `Product ${sku}`;
   }
 
@@ -302,5 +311,104 @@ class AmazonDataExtractor {
   }
 }
 
+/**
+ * Shipment Data Extractor
+ * Send to Amazon and shipment detail pages list products as table rows
+ * without data-sku. Values come from the row's cell under a matching column
+ * header first, then from inline "Label: value" pairs.
+ */
+class ShipmentDataExtractor extends AmazonDataExtractor {
+  /**
+   * @param {string[]} quantityColumns - Lower-case header names holding units to ship
+   */
+  constructor(quantityColumns = []) {
+    super();
+    this.quantityColumns = quantityColumns;
+
+    this.extractionStrategies.fnsku.unshift(this.extractFNSKUByColumn.bind(this));
+    this.extractionStrategies.asin.unshift(this.extractASINByColumn.bind(this));
+    this.extractionStrategies.title.unshift(this.extractTitleByColumn.bind(this));
+  }
+
+  extractProductData(rowElement) {
+    const data    = super.extractProductData(rowElement);
+    data.quantity = this.extractQuantity(rowElement);
+    return data;
+  }
+
+  getSku(rowElement) {
+    return rowElement.getAttribute('data-sku')
+      || this.findColumnValue(rowElement, ['sku', 'merchant sku', 'seller sku', 'msku'])
+      || this.findLabelValue(rowElement, 'SKU')
+      || this.findLabelValue(rowElement, 'Merchant SKU')
+      || null;
+  }
+
+  extractFNSKUByColumn(rowElement) {
+    return this.findColumnValue(rowElement, ['fnsku']);
+  }
+
+  extractASINByColumn(rowElement) {
+    return this.findColumnValue(rowElement, ['asin']);
+  }
+
+  extractTitleByColumn(rowElement) {
+    return this.findColumnValue(rowElement, ['title', 'product title', 'product name']);
+  }
+
+  /**
+   * Units to ship for the row, from an editable quantity input or the
+   * quantity column's text.
+   * @param {HTMLElement} rowElement - Row element
+   * @returns {number|null} Positive unit count, or null when not found
+   */
+  extractQuantity(rowElement) {
+    const cell = this.findColumnCell(rowElement, this.quantityColumns);
+    let text   = null;
+
+    if (cell) {
+      const input = cell.querySelector('input');
+      text = input ? input.value : cell.textContent;
+    } else {
+      for (const name of this.quantityColumns) {
+        const label = name.replace(/\b\w/g, ch => ch.toUpperCase());
+        text = this.findLabelValue(rowElement, label);
+        if (text) break;
+      }
+    }
+
+    const quantity = parseInt(String(text || '').replace(/[^\d]/g, ''));
+    return quantity > 0 ? quantity : null;
+  }
+
+  /**
+   * Find the row's cell under the first header whose text matches one of the names.
+   * Works for native tables and Amazon's kat-table components.
+   * @param {HTMLElement} rowElement - Row element
+   * @param {string[]} names - Lower-case header names
+   * @returns {HTMLElement|null} Cell element
+   */
+  findColumnCell(rowElement, names) {
+    const table = rowElement.closest('table, kat-table, [role="table"], [role="grid"]');
+    if (!table || names.length === 0) return null;
+
+    const headers = Array.from(table.querySelectorAll(
+      'thead th, kat-table-head kat-table-cell, [role="columnheader"]'
+    ));
+    const index = headers.findIndex(h =>
+      names.includes(h.textContent.trim().toLowerCase().replace(/\s+/g, ' '))
+    );
+    if (index < 0) return null;
+
+    return rowElement.children[index] || null;
+  }
+
+  findColumnValue(rowElement, names) {
+    const text = this.findColumnCell(rowElement, names)?.textContent.trim();
+    return text || null;
+  }
+}
+
 // Export for use in other modules
-window.AmazonDataExtractor = AmazonDataExtractor;
\ No newline at end of file
+window.AmazonDataExtractor   = AmazonDataExtractor;
+window.ShipmentDataExtractor = ShipmentDataExtractor;
\ No newline at end of file
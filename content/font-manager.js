@@ -0,0 +1,163 @@
+/**
+ * Font Manager
+ * Stores user-imported TrueType fonts for PDF text rendering.
+ * Owned by the background service worker; content and popup receive font
+ * data through messages and register it per document via FontRegistry.
+ *
+ * Fonts live in chrome.storage.local (they are far larger than sync allows):
+ * an index under fnsku_fonts and each file, base64-encoded, under fnsku_font_{id}.
+ */
+
+class FontManager {
+  constructor() {
+    this.fonts = [];       // index: [{ id, family, fileName, size, addedAt }]
+    this.initialized = false;
+  }
+
+  /**
+   * Initialize the font manager
+   */
+  async init() {
+    if (this.initialized) return;
+
+    try {
+      const result = await chrome.storage.local.get(['fnsku_fonts']);
+      this.fonts = result.fnsku_fonts || [];
+      this.initialized = true;
+    } catch (error) {
+      console.error('Failed to initialize FontManager:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get imported font metadata (no file data)
+   * @returns {Array} Font index entries
+   */
+  async getFonts() {
+    await this.ensureInitialized();
+    return this.fonts.map(font => ({ ...font }));
+  }
+
+  /**
+   * Get imported fonts including their base64 file data
+   * @returns {Array} Font entries with a `data` property
+   */
+  async getFontsWithData() {
+    await this.ensureInitialized();
+    if (this.fonts.length === 0) return [];
+
+    const keys   = this.fonts.map(font => `fnsku_font_${font.id}`);
+    const result = await chrome.storage.local.get(keys);
+
+    return this.fonts
+      .filter(font => result[`fnsku_font_${font.id}`])
+      .map(font => ({ ...font, data: result[`fnsku_font_${font.id}`] }));
+  }
+
+  /**
+   * Identifies the current set of imported fonts. Font files never change
+   * after import, so the ids tell whether a copy held elsewhere is current.
+   * @returns {string}
+   */
+  async getFontsVersion() {
+    await this.ensureInitialized();
+    return this.fonts.map(font => font.id).join(',');
+  }
+
+  /**
+   * Import a TrueType font
+   * @param {Object} fontData - { family, fileName, data } with data as base64
+   * @returns {Object} Created index entry
+   */
+  async importFont(fontData) {
+    await this.ensureInitialized();
+
+    const family = String(fontData.family || '').trim();
+    if (!family) {
+      throw new Error('Font family name is required');
+    }
+    if (['helvetica', 'times', 'courier'].includes(family.toLowerCase())) {
+      throw new Error(`"${family}" is a built-in font name`);
+    }
+    if (this.fonts.some(font => font.family.toLowerCase() === family.toLowerCase())) {
+      throw new Error(`A font named "${family}" already exists`);
+    }
+
+    this.validateFontData(fontData.data);
+
+    const font = {
+      id:       `font_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      family,
+      fileName: fontData.fileName || `${family}.ttf`,
+      size:     Math.floor(fontData.data.length * 3 / 4),
+      addedAt:  new Date().toISOString()
+    };
+
+    await chrome.storage.local.set({ [`fnsku_font_${font.id}`]: fontData.data });
+    this.fonts.push(font);
+    await this.saveIndex();
+
+    return { ...font };
+  }
+
+  /**
+   * Delete an imported font
+   * @param {string} fontId - Font ID
+   */
+  async deleteFont(fontId) {
+    await this.ensureInitialized();
+
+    if (!this.fonts.some(font => font.id === fontId)) {
+      throw new Error(`Font not found: ${fontId}`);
+    }
+
+    await chrome.storage.local.remove(`fnsku_font_${fontId}`);
+    this.fonts = this.fonts.filter(font => font.id !== fontId);
+    await this.saveIndex();
+  }
+
+  /**
+   * Check the sfnt header. jsPDF embeds TrueType outlines only, so CFF-based
+   * OpenType (.otf) and font collections (.ttc) are rejected up front.
+   * @param {string} base64 - Font file as base64
+   */
+  validateFontData(base64) {
+    if (typeof base64 !== 'string' || base64.length < 16) {
+      throw new Error('Font file is empty or unreadable');
+    }
+
+    const header = atob(base64.slice(0, 8)).slice(0, 4);
+    if (header === 'OTTO') {
+      throw new Error('OpenType CFF fonts (.otf) are not supported — use a TrueType (.ttf) font');
+    }
+    if (header === 'ttcf') {
+      throw new Error('Font collections (.ttc) are not supported — extract a single .ttf font');
+    }
+    if (header !== '\x00\x01\x00\x00' && header !== 'true') {
+      throw new Error('Not a TrueType font file');
+    }
+  }
+
+  async saveIndex() {
+    try {
+      await chrome.storage.local.set({ fnsku_fonts: this.fonts });
+    } catch (error) {
+      console.error('Failed to save font index:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ensure manager is initialized
+   */
+  async ensureInitialized() {
+    if (!this.initialized) {
+      await this.init();
+    }
+  }
+}
+
+// Export for both content script (window) and service worker (self) contexts
+if (typeof window !== 'undefined') window.FontManager = FontManager;
+if (typeof self   !== 'undefined') self.FontManager   = FontManager;
@@ -0,0 +1,185 @@
+/**
+ * Font Registry
+ * Render-side font handling for PDF output: registers imported TrueType fonts
+ * into a jsPDF document and picks the family each text element draws with.
+ * jsPDF's built-in fonts only encode WinAnsi (Western European) text, so text
+ * outside it falls back to the first imported font whose cmap covers it.
+ */
+
+const FontRegistry = {
+
+  builtIn: ['helvetica', 'times', 'courier'],
+
+  // Imported font metadata known to this page ([{ id, family, ... }]) — drives
+  // the inspector's font options. Set by the popup from the background.
+  available: [],
+
+  // Fonts registered into each jsPDF document: doc → [{ id, family, coverage }]
+  _docFonts: new WeakMap(),
+
+  // Parsed cmap ranges by font id, so a font is parsed once per page
+  _coverageCache: new Map(),
+
+  /**
+   * Families offered by the fontFamily control. '' means automatic.
+   */
+  families() {
+    return ['', ...FontRegistry.builtIn, ...FontRegistry.available.map(font => font.family)];
+  },
+
+  setAvailable(fonts) {
+    FontRegistry.available = (fonts || []).map(({ data, ...meta }) => meta);
+  },
+
+  /**
+   * Embed imported fonts into a document. Each file is registered for both
+   * normal and bold so bold elements keep working; jsPDF cannot embolden a
+   * custom font, so bold text in a custom font prints at regular weight.
+   *
+   * @param {jsPDF} doc
+   * @param {Array} fonts - [{ id, family, data (base64) }]
+   */
+  register(doc, fonts = []) {
+    const registered = [];
+
+    for (const font of fonts) {
+      if (!font?.data) continue;
+      try {
+        const file = `${font.id}.ttf`;
+        doc.addFileToVFS(file, font.data);
+        doc.addFont(file, font.family, 'normal');
+        doc.addFont(file, font.family, 'bold');
+        registered.push({ id: font.id, family: font.family, coverage: FontRegistry._coverage(font) });
+      } catch (error) {
+        console.warn(`Failed to register font ${font.family}:`, error);
+      }
+    }
+
+    FontRegistry._docFonts.set(doc, registered);
+  },
+
+  /**
+   * Family to draw `text` with: the element's fontFamily when it can encode
+   * the text, else the first registered font that covers every character,
+   * else the requested family regardless.
+   */
+  resolve(doc, element, text) {
+    const registered = FontRegistry._docFonts.get(doc) || [];
+    const requested  = element.fontFamily || 'helvetica';
+    const custom     = registered.find(font => font.family === requested);
+    const isBuiltIn  = FontRegistry.builtIn.includes(requested);
+
+    if (custom && FontRegistry._covers(custom.coverage, text)) return requested;
+    if (isBuiltIn && FontRegistry.isWinAnsi(text)) return requested;
+
+    const fallback = registered.find(font => FontRegistry._covers(font.coverage, text));
+    if (fallback) return fallback.family;
+
+    // Nothing covers the text — use the requested font if this document has it
+    return custom || isBuiltIn ? requested : 'helvetica';
+  },
+
+  /**
+   * True when every character is in Windows-1252, the encoding of jsPDF's
+   * standard 14 fonts.
+   */
+  isWinAnsi(text) {
+    for (const ch of text) {
+      const code = ch.codePointAt(0);
+      if (code >= 0x20 && code <= 0x7E) continue;
+      if (code >= 0xA0 && code <= 0xFF) continue;
+      if ('€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ'.includes(ch)) continue;
+      return false;
+    }
+    return true;
+  },
+
+  _covers(ranges, text) {
+    for (const ch of text) {
+      const code = ch.codePointAt(0);
+      if (code < 0x20) continue;
+      if (!ranges.some(([start, end]) => code >= start && code <= end)) return false;
+    }
+    return true;
+  },
+
+  _coverage(font) {
+    if (!FontRegistry._coverageCache.has(font.id)) {
+      let ranges = [];
+      try {
+        ranges = FontRegistry._parseCmap(FontRegistry._decodeBase64(font.data));
+      } catch (error) {
+        console.warn(`Could not read character map of ${font.family}:`, error);
+      }
+      FontRegistry._coverageCache.set(font.id, ranges);
+    }
+    return FontRegistry._coverageCache.get(font.id);
+  },
+
+  _decodeBase64(base64) {
+    const binary = atob(base64);
+    const bytes  = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  },
+
+  /**
+   * Read the Unicode code point ranges a TrueType font maps, from its cmap
+   * table — format 12 (full Unicode) when present, else format 4 (BMP).
+   * @returns {Array<[number, number]>} Inclusive [start, end] ranges
+   */
+  _parseCmap(bytes) {
+    const view      = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const numTables = view.getUint16(4);
+
+    let cmap = -1;
+    for (let i = 0; i < numTables; i++) {
+      const record = 12 + i * 16;
+      const tag    = String.fromCharCode(...bytes.subarray(record, record + 4));
+      if (tag === 'cmap') cmap = view.getUint32(record + 8);
+    }
+    if (cmap < 0) return [];
+
+    const subtables = [];
+    const count     = view.getUint16(cmap + 2);
+    for (let i = 0; i < count; i++) {
+      const record   = cmap + 4 + i * 8;
+      const platform = view.getUint16(record);
+      const encoding = view.getUint16(record + 2);
+      const offset   = cmap + view.getUint32(record + 4);
+      const unicode  = platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10));
+      if (unicode) subtables.push({ offset, format: view.getUint16(offset) });
+    }
+
+    const format12 = subtables.find(table => table.format === 12);
+    if (format12) {
+      const groups = view.getUint32(format12.offset + 12);
+      const ranges = [];
+      for (let i = 0; i < groups; i++) {
+        const group = format12.offset + 16 + i * 12;
+        ranges.push([view.getUint32(group), view.getUint32(group + 4)]);
+      }
+      return ranges;
+    }
+
+    const format4 = subtables.find(table => table.format === 4);
+    if (format4) {
+      const segments = view.getUint16(format4.offset + 6) / 2;
+      const ends     = format4.offset + 14;
+      const starts   = ends + segments * 2 + 2;
+      const ranges   = [];
+      for (let i = 0; i < segments; i++) {
+        const end   = view.getUint16(ends + i * 2);
+        const start = view.getUint16(starts + i * 2);
+        if (start !== 0xFFFF) ranges.push([start, end]);
+      }
+      return ranges;
+    }
+
+    return [];
+  }
+};
+
+// Export for both content script (window) and service worker (self) contexts
+if (typeof window !== 'undefined') window.FontRegistry = FontRegistry;
+if (typeof self   !== 'undefined') self.FontRegistry   = FontRegistry;
@@ -0,0 +1,157 @@
+/**
+ * Label Rules
+ * Ordered rules that pick the template, default quantity and an extra line
+ * of text for a product when it is printed. The first enabled rule whose
+ * conditions all pass wins; with no match the selected template is used.
+ *
+ *   {
+ *     id: 'rule_1718000000000',
+ *     name: 'Oversized',
+ *     enabled: true,
+ *     when: { sku: '^OS-', asin: '', title: '', marketplace: '' },
+ *     templateId: 'shipping_4x6',
+ *     quantity: 2,
+ *     text: 'Sold as set'
+ *   }
+ *
+ * Empty conditions are ignored. The text is available to templates as the
+ * {ruleText} field.
+ */
+
+const LabelRules = {
+
+  // Conditions by id: label for the editor, placeholder and the test
+  conditions: {
+    sku: {
+      label: 'SKU matches',
+      placeholder: 'regex, e.g. ^OS-',
+      test: (data, pattern) => new RegExp(pattern, 'i').test(String(data.sku || ''))
+    },
+    asin: {
+      label: 'ASIN is',
+      placeholder: 'one or more, comma separated',
+      test: (data, list) => LabelRules._list(list).includes(String(data.asin || '').trim().toLowerCase())
+    },
+    title: {
+      label: 'Title contains',
+      placeholder: 'any of these words, comma separated',
+      test: (data, list) => {
+        const title = String(data.title || '').toLowerCase();
+        return LabelRules._list(list).some(keyword => title.includes(keyword));
+      }
+    },
+    marketplace: {
+      label: 'Marketplace',
+      placeholder: 'e.g. sellercentral.amazon.co.uk',
+      test: (data, host) => String(data.marketplace || '').toLowerCase() === host.trim().toLowerCase()
+    }
+  },
+
+  /**
+   * First enabled rule that matches the product, or null.
+   * @param {Object[]} rules - Ordered rules
+   * @param {Object} data - Product data plus the `marketplace` it is printed on
+   * @returns {Object|null}
+   */
+  match(rules, data = {}) {
+    if (!Array.isArray(rules)) return null;
+    return rules.find(rule => rule.enabled !== false && LabelRules.test(rule, data)) || null;
+  },
+
+  /**
+   * True when every condition the rule sets passes. A broken regex fails
+   * the rule rather than throwing mid-print.
+   */
+  test(rule, data = {}) {
+    const conditions = LabelRules._activeConditions(rule);
+    if (conditions.length === 0) return false;
+
+    return conditions.every(([id, value]) => {
+      try {
+        return LabelRules.conditions[id].test(data, value);
+      } catch {
+        return false;
+      }
+    });
+  },
+
+  /**
+   * Short human-readable form, e.g. "SKU matches ^OS- → shipping_4x6, ×2".
+   * @param {Object} rule
+   * @param {Function} [templateName] - Maps a template id to its display name
+   */
+  describe(rule, templateName = (id) => id) {
+    const conditions = LabelRules._activeConditions(rule)
+      .map(([id, value]) => `${LabelRules.conditions[id].label} ${value}`)
+      .join(' and ');
+
+    const actions = [];
+    if (rule.templateId) actions.push(templateName(rule.templateId));
+    if (rule.quantity)   actions.push(`×${rule.quantity}`);
+    if (rule.text)       actions.push(`"${rule.text}"`);
+
+    return `${conditions || 'no conditions'} → ${actions.join(', ') || 'nothing'}`;
+  },
+
+  /**
+   * Structural problems in a rule list.
+   * @returns {string[]} Error messages (empty when valid)
+   */
+  validate(rules) {
+    if (!Array.isArray(rules)) return ['rules must be an array'];
+
+    const errors = [];
+    const ids    = new Set();
+    rules.forEach((rule, i) => {
+      const name = rule?.name || `rule ${i + 1}`;
+      if (!rule || typeof rule.id !== 'string' || !rule.id) {
+        errors.push(`${name} needs an id`);
+        return;
+      }
+      if (ids.has(rule.id)) errors.push(`${name}: duplicate id ${rule.id}`);
+      ids.add(rule.id);
+
+      if (rule.when !== undefined && (typeof rule.when !== 'object' || Array.isArray(rule.when))) {
+        errors.push(`${name}: when must be an object`);
+        return;
+      }
+      const unknown = Object.keys(rule.when || {}).filter(id => !LabelRules.conditions[id]);
+      if (unknown.length) errors.push(`${name}: unknown condition ${unknown.join(', ')}`);
+
+      if (LabelRules._activeConditions(rule).length === 0) {
+        errors.push(`${name} needs at least one condition`);
+      }
+      if (rule.when?.sku) {
+        try {
+          new RegExp(rule.when.sku, 'i');
+        } catch (error) {
+          errors.push(`${name}: SKU pattern is not a valid regex (${error.message})`);
+        }
+      }
+
+      if (rule.quantity !== undefined && rule.quantity !== null &&
+          !(Number.isInteger(rule.quantity) && rule.quantity >= 1 && rule.quantity <= 1000)) {
+        errors.push(`${name}: quantity must be a whole number from 1 to 1000`);
+      }
+      if (!rule.templateId && !rule.quantity && !rule.text) {
+        errors.push(`${name} must set a template, quantity or text`);
+      }
+    });
+    return errors;
+  },
+
+  /** [[conditionId, value]] for the conditions a rule sets */
+  _activeConditions(rule) {
+    return Object.entries(rule?.when || {})
+      .filter(([id, value]) => LabelRules.conditions[id] && String(value ?? '').trim() !== '');
+  },
+
+  /** Lower-cased entries of a comma-separated list */
+  _list(text) {
+    return String(text || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+  }
+};
+
+// Export for both content script (window) and service worker (self) contexts
+if (typeof window !== 'undefined') window.LabelRules = LabelRules;
+if (typeof self   !== 'undefined') self.LabelRules   = LabelRules;
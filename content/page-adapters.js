@@ -0,0 +1,138 @@
+/**
+ * Page Adapters
+ * One entry per Seller Central layout the extension injects into.
+ * content.js picks the first adapter whose matches() accepts the current URL;
+ * the adapter finds product rows, places the label row under each one and
+ * supplies the extractor for that layout. Inventory is the catch-all fallback.
+ */
+
+// FNSKUs printed on shipment pages (X00…). Rows without one are headers or totals.
+const SHIPMENT_ROW_FNSKU = /\bX0[0-9A-Z]{8}\b/;
+
+/**
+ * Test text nodes one by one — a row's textContent runs adjacent cells
+ * together, so a word-boundary match on it would miss the FNSKU.
+ */
+function containsFNSKU(row) {
+  const walker = document.createTreeWalker(row, NodeFilter.SHOW_TEXT);
+  while (walker.nextNode()) {
+    if (SHIPMENT_ROW_FNSKU.test(walker.currentNode.nodeValue)) return true;
+  }
+  return false;
+}
+
+/**
+ * Build an adapter for the table-based shipment workflow pages.
+ * @param {Object} config
+ * @param {string}   config.label           - Human-readable page name
+ * @param {RegExp[]} config.paths           - URL path patterns
+ * @param {string[]} config.quantityColumns - Lower-case headers holding units to ship
+ */
+function createShipmentAdapter({ label, paths, quantityColumns }) {
+  return {
+    label,
+    rowSelector: 'tr, kat-table-row, [role="row"]',
+
+    matches(location) {
+      return paths.some(pattern => pattern.test(location.pathname));
+    },
+
+    /**
+     * Innermost rows that show an FNSKU — skips headers, totals and
+     * wrapper rows that merely contain a product row.
+     */
+    findRows(root) {
+      return Array.from(root.querySelectorAll(this.rowSelector)).filter(row =>
+        !row.classList.contains('smart-label-row') &&
+        containsFNSKU(row) &&
+        !row.querySelector(this.rowSelector)
+      );
+    },
+
+    createExtractor() {
+      return new ShipmentDataExtractor(quantityColumns);
+    },
+
+    getQuantity(row, extractor) {
+      return extractor.extractQuantity(row);
+    },
+
+    /**
+     * Table rows can only be followed by another row, so the label row is
+     * wrapped in a full-width <tr>; the wrapper takes the smart-label-row class
+     * so batch printing still finds the product row as its previous sibling.
+     */
+    insertLabelRow(row, labelRow) {
+      if (row.tagName === 'TR') {
+        const wrapper = document.createElement('tr');
+        const cell    = document.createElement('td');
+        cell.colSpan  = row.cells.length || 1;
+        wrapper.className  = 'smart-label-row';
+        labelRow.className = 'smart-label-row-content';
+        cell.appendChild(labelRow);
+        wrapper.appendChild(cell);
+        labelRow = wrapper;
+      }
+      row.parentNode.insertBefore(labelRow, row.nextSibling);
+    }
+  };
+}
+
+const PageAdapters = {
+
+  sendToAmazon: createShipmentAdapter({
+    label: 'Send to Amazon',
+    paths: [/\/fba\/sendtoamazon/i],
+    quantityColumns: ['units', 'units to send', 'total units', 'quantity']
+  }),
+
+  shipmentDetail: createShipmentAdapter({
+    label: 'Shipment Detail',
+    paths: [/\/fba\/inbound-shipment/i, /\/fba\/inbound-queue/i, /\/gp\/fba\/inbound-shipment-workflow/i],
+    quantityColumns: ['units expected', 'units shipped', 'shipped', 'quantity', 'units']
+  }),
+
+  inventory: {
+    label: 'Inventory',
+    rowSelector: 'div[data-sku]',
+
+    matches() {
+      return true;
+    },
+
+    findRows(root) {
+      return Array.from(root.querySelectorAll(this.rowSelector));
+    },
+
+    createExtractor() {
+      return new AmazonDataExtractor();
+    },
+
+    getQuantity() {
+      return null;
+    },
+
+    insertLabelRow(row, labelRow) {
+      row.parentNode.insertBefore(labelRow, row.nextSibling);
+    }
+  },
+
+  /**
+   * Resolve the adapter for a location. Order of declaration is priority order.
+   * @param {Location} location
+   * @returns {{id: string, adapter: Object}}
+   */
+  detect(location) {
+    const id = this.ids.find(id => this[id].matches(location));
+    return { id, adapter: this[id] };
+  },
+
+  /**
+   * All registered adapter keys in priority order (excludes utility methods).
+   */
+  get ids() {
+    return ['sendToAmazon', 'shipmentDetail', 'inventory'];
+  }
+};
+
+window.PageAdapters = PageAdapters;
@@ -5,57 +5,163 @@
  */
 
 class PDFLabelGenerator {
+  constructor() {
+    // Per-element details reported by render() during the last generation,
+    // keyed by element id — e.g. { fontSize } after shrink-to-fit
+    this.lastRenderInfo = {};
+  }
 
   /**
    * Generate a multi-page PDF document.
+   * Templates with a `sheet` layout flow labels across the cells of each page
+   * (starting at globalSettings.sheetStartCell); all others get one label per page.
+   *
+   * @param {Object} productData  - { sku, fnsku, asin, title, condition, expiry, lot, imageUrl }
+   * @param {number} quantity     - Number of labels
+   * @param {Object} settings     - Plain settings object from background
+   * @param {Object} template     - Plain template object from background
+   * @param {Array}  fonts        - Imported fonts with data, from background
+   * @returns {jsPDF} jsPDF document (call .save() or .output() on it)
+   */
+  async generateLabels(productData, quantity = 1, settings = {}, template = null, fonts = []) {
+    return this.generateBatch([{ productData, quantity }], settings, template, fonts);
+  }
+
+  /**
+   * Generate one combined PDF for several products, in order.
+   * On sheet templates the products share cells, so a batch fills sheets
+   * without gaps between SKUs.
    *
-   * @param {Object} productData  - { sku, fnsku, asin, title, condition, imageUrl }
-   * @param {number} quantity     - Number of label pages
+   * @param {Array<{productData: Object, quantity: number}>} items
    * @param {Object} settings     - Plain settings object from background
    * @param {Object} template     - Plain template object from background
+   * @param {Array}  fonts        - Imported fonts with data, from background
    * @returns {jsPDF} jsPDF document (call .save() or .output() on it)
    */
-  async generateLabels(productData, quantity = 1, settings = {}, template = null) {
+  async generateBatch(items, settings = {}, template = null, fonts = []) {
     if (!template) {
       throw new Error('Template is required for label generation');
     }
 
-    if (!productData.fnsku) {
-      throw new Error('FNSKU is required for label generation');
+    if (!items.length) {
+      throw new Error('No products to generate labels for');
+    }
+
+    for (const { productData } of items) {
+      if (!productData.fnsku) {
+        throw new Error(`FNSKU is required for label generation${productData.sku ? ` (${productData.sku})` : ''}`);
+      }
     }
 
     const globalSettings = settings.globalSettings || {};
     const { jsPDF } = window.jspdf;
+    this.lastRenderInfo = {};
+    const page = this._getPageFormat(template);
 
     const doc = new jsPDF({
-      orientation: template.orientation || 'landscape',
+      orientation: page.orientation,
       unit:        'mm',
-      format:      [template.width, template.height],
+      format:      [page.width, page.height],
       putOnlyUsedFonts: true,
       compress:    true
     });
+    FontRegistry.register(doc, fonts);
 
+    const first = items[0].productData;
     doc.setProperties({
-      title:    `FNSKU Label - ${productData.sku || productData.fnsku}`,
+      title:    items.length === 1
+        ? `FNSKU Label - ${first.sku || first.fnsku}`
+        : `FNSKU Labels - ${items.length} products`,
       creator:  'Amazon FNSKU Extension',
       producer: 'Amazon FNSKU Extension'
     });
 
-    for (let i = 0; i < quantity; i++) {
-      if (i > 0) doc.addPage();
-      await this._renderLabel(doc, template, productData, globalSettings);
+    const layout     = this._createSheetLayout(template, globalSettings);
+    const dateFormat = TemplateString.dateFormat(settings);
+    let n = 0;
+
+    for (const { productData, quantity } of items) {
+      const data = { ...productData, dateFormat };
+      for (let i = 0; i < quantity; i++, n++) {
+        const origin = this._getLabelOrigin(layout, n);
+        while (doc.getNumberOfPages() < origin.page + 1) doc.addPage();
+        doc.setPage(origin.page + 1);
+        await this._renderLabel(doc, template, data, globalSettings, origin);
+      }
     }
 
     return doc;
   }
 
   /**
-   * Render a single label page using ElementRegistry.
+   * Page size for a template — the sheet for multi-up layouts, the label itself otherwise.
+   */
+  _getPageFormat(template) {
+    const sheet = template.sheet;
+    if (!sheet) {
+      return {
+        width:       template.width,
+        height:      template.height,
+        orientation: template.orientation || 'landscape'
+      };
+    }
+    return {
+      width:       sheet.pageWidth,
+      height:      sheet.pageHeight,
+      orientation: sheet.pageWidth > sheet.pageHeight ? 'landscape' : 'portrait'
+    };
+  }
+
+  /**
+   * Resolve the sheet grid for a template, or null for one-label-per-page output.
+   * sheetStartCell is 1-based so users can count cells on a half-used sheet.
+   */
+  _createSheetLayout(template, globalSettings) {
+    const sheet = template.sheet;
+    if (!sheet) return null;
+
+    const perPage   = sheet.rows * sheet.columns;
+    const startCell = parseInt(globalSettings.sheetStartCell) || 1;
+
+    return {
+      sheet,
+      perPage,
+      labelWidth:  template.width,
+      labelHeight: template.height,
+      startIndex:  Math.min(Math.max(startCell, 1), perPage) - 1
+    };
+  }
+
+  /**
+   * Page index and top-left offset (mm) of the n-th label.
+   * Cells fill left to right, top to bottom, then continue on the next page.
+   */
+  _getLabelOrigin(layout, n) {
+    if (!layout) return { page: n, x: 0, y: 0 };
+
+    const { sheet, perPage, labelWidth, labelHeight } = layout;
+    const cell   = layout.startIndex + n;
+    const index  = cell % perPage;
+    const row    = Math.floor(index / sheet.columns);
+    const column = index % sheet.columns;
+
+    return {
+      page: Math.floor(cell / perPage),
+      x:    (sheet.marginLeft || 0) + column * (labelWidth  + (sheet.gutterX || 0)),
+      y:    (sheet.marginTop  || 0) + row    * (labelHeight + (sheet.gutterY || 0))
+    };
+  }
+
+  /**
+   * Render a single label using ElementRegistry.
    * No hardcoded element logic — each type handles itself.
+   * `origin` shifts every element into its sheet cell. Elements whose
+   * visibleWhen rules fail for this product are skipped.
    */
-  async _renderLabel(doc, template, productData, globalSettings) {
+  async _renderLabel(doc, template, productData, globalSettings, origin = { x: 0, y: 0 }) {
     for (const element of template.elements) {
       if (element.enabled === false) continue;
+      if (!VisibilityRules.isVisible(element, productData)) continue;
 
       const typeDef = ElementRegistry[element.type];
       if (!typeDef) {
@@ -63,8 +169,13 @@ class PDFLabelGenerator {
         continue;
       }
 
+      const placed = (origin.x || origin.y)
+        ? { ...element, x: element.x + origin.x, y: element.y + origin.y }
+        : element;
+
       try {
-        await typeDef.render(doc, element, productData, globalSettings);
+        const info = await typeDef.render(doc, placed, productData, globalSettings);
+        if (info) this.lastRenderInfo[element.id] = info;
       } catch (error) {
         console.warn(`Failed to render element ${element.id} (${element.type}):`, error);
       }
@@ -93,8 +204,8 @@ class PDFLabelGenerator {
   /**
    * Convenience: generate and return as a Blob.
    */
-  async generateBlob(productData, quantity, settings, template) {
-    const doc = await this.generateLabels(productData, quantity, settings, template);
+  async generateBlob(productData, quantity, settings, template, fonts = []) {
+    const doc = await this.generateLabels(productData, quantity, settings, template, fonts);
     return doc.output('blob');
   }
 }
@@ -0,0 +1,245 @@
+/**
+ * Printer Command Generator
+ * Compiles a template + productData into a native printer-language job
+ * (ZPL II for Zebra, TSPL for Rollo/TSC, EPL2 for older Eltron/Zebra)
+ * instead of a PDF.
+ * Job framing lives in PrinterLanguages; element mapping lives on each
+ * ElementRegistry type under the language id — no element logic here.
+ * Adding a language means one entry here plus a hook per element type.
+ */
+
+const PrinterLanguages = {
+
+  zpl: {
+    label: 'ZPL (Zebra)',
+    extension: 'zpl',
+
+    /**
+     * Escape a value as a ^FD field. ^FH lets us hex-encode the characters
+     * ZPL treats as command prefixes (^ and ~) and the hex indicator itself.
+     */
+    field(value) {
+      const escaped = String(value).replace(/[\^~_]/g, ch =>
+        '_' + ch.charCodeAt(0).toString(16).toUpperCase()
+      );
+      return `^FH^FD${escaped}^FS`;
+    },
+
+    begin(template, ctx) {
+      return [
+        '^XA',
+        '^CI28', // UTF-8 field data
+        `^PW${ctx.dots(template.width)}`,
+        `^LL${ctx.dots(template.height)}`,
+        '^LH0,0'
+      ];
+    },
+
+    end(quantity) {
+      // Native copies — the printer repeats the label, no duplicated job data
+      return [`^PQ${quantity},0,1,Y`, '^XZ'];
+    }
+  },
+
+  tspl: {
+    label: 'TSPL (Rollo / TSC)',
+    extension: 'prn',
+
+    /**
+     * Quote a value as a TSPL string. Embedded double quotes use the \["] escape.
+     */
+    field(value) {
+      return `"${String(value).replace(/"/g, '\\["]')}"`;
+    },
+
+    begin(template) {
+      return [
+        `SIZE ${template.width} mm,${template.height} mm`,
+        'GAP 2 mm,0 mm',
+        'DIRECTION 1',
+        'REFERENCE 0,0',
+        'CODEPAGE UTF-8',
+        'CLS'
+      ];
+    },
+
+    end(quantity) {
+      // One label set, printed `quantity` times by the printer
+      return [`PRINT 1,${quantity}`];
+    }
+  },
+
+  epl: {
+    label: 'EPL2 (Eltron)',
+    extension: 'epl',
+
+    /**
+     * Quote a value as an EPL2 string. Backslash and double quote are escaped.
+     */
+    field(value) {
+      return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    },
+
+    begin(template, ctx) {
+      return [
+        '',   // leading line feed flushes any partial command on the printer
+        'N',
+        `q${ctx.dots(template.width)}`,
+        `Q${ctx.dots(template.height)},${ctx.dots(2)}`
+      ];
+    },
+
+    end(quantity) {
+      return [`P${quantity}`];
+    }
+  }
+};
+
+class PrinterCommandGenerator {
+
+  /**
+   * Generate a printer job for the language selected in globalSettings.outputFormat.
+   *
+   * @param {Object} productData  - { sku, fnsku, asin, title, condition, expiry, lot, imageUrl }
+   * @param {number} quantity     - Number of labels
+   * @param {Object} settings     - Plain settings object from background
+   * @param {Object} template     - Plain template object from background
+   * @returns {string} Printer job text
+   */
+  async generateLabels(productData, quantity = 1, settings = {}, template = null) {
+    return this.generateBatch([{ productData, quantity }], settings, template);
+  }
+
+  /**
+   * Generate one job file for several products — one label format per product,
+   * each printed with its own native quantity.
+   *
+   * @param {Array<{productData: Object, quantity: number}>} items
+   * @param {Object} settings     - Plain settings object from background
+   * @param {Object} template     - Plain template object from background
+   * @returns {string} Printer job text
+   */
+  async generateBatch(items, settings = {}, template = null) {
+    if (!template) {
+      throw new Error('Template is required for label generation');
+    }
+
+    if (!items.length) {
+      throw new Error('No products to generate labels for');
+    }
+
+    for (const { productData } of items) {
+      if (!productData.fnsku) {
+        throw new Error(`FNSKU is required for label generation${productData.sku ? ` (${productData.sku})` : ''}`);
+      }
+    }
+
+    const globalSettings = settings.globalSettings || {};
+    const language       = this._getLanguage(globalSettings);
+    const ctx            = this._createContext(language, template, globalSettings);
+    const dateFormat     = TemplateString.dateFormat(settings);
+    const lines          = [];
+
+    for (const { productData, quantity } of items) {
+      lines.push(
+        ...language.begin(template, ctx),
+        ...await this._renderLabel(template, { ...productData, dateFormat }, ctx),
+        ...language.end(quantity, ctx)
+      );
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * File extension for the selected output format.
+   */
+  getFileExtension(settings = {}) {
+    return this._getLanguage(settings.globalSettings || {}).extension;
+  }
+
+  _getLanguage(globalSettings) {
+    const id = globalSettings.outputFormat;
+    const language = PrinterLanguages[id];
+    if (!language) throw new Error(`Unsupported output format: ${id}`);
+    return { id, ...language };
+  }
+
+  /**
+   * Per-job context handed to every element mapping.
+   * Positions are authored in mm; printers address dots.
+   */
+  _createContext(language, template, globalSettings) {
+    const dpi  = parseInt(globalSettings.printerDPI) || 203;
+    const dpmm = dpi / 25.4;
+    return {
+      language: language.id,
+      dpi,
+      dpmm,
+      template,
+      settings: globalSettings,
+      dots:  (mm) => Math.round(mm * dpmm),
+      field: (value) => language.field(value)
+    };
+  }
+
+  /**
+   * Map each enabled, visible element through its ElementRegistry language hook.
+   * Types without a mapping for this language are skipped with a warning.
+   */
+  async _renderLabel(template, productData, ctx) {
+    const lines = [];
+
+    for (const element of template.elements) {
+      if (element.enabled === false) continue;
+      if (!VisibilityRules.isVisible(element, productData)) continue;
+
+      const typeDef = ElementRegistry[element.type];
+      if (!typeDef) {
+        console.warn(`Unknown element type: ${element.type} — skipped`);
+        continue;
+      }
+
+      if (typeof typeDef[ctx.language] !== 'function') {
+        console.warn(`Element type ${element.type} has no ${ctx.language} mapping — skipped`);
+        continue;
+      }
+
+      try {
+        const output = await typeDef[ctx.language](element, productData, ctx);
+        if (output) lines.push(output);
+      } catch (error) {
+        console.warn(`Failed to render element ${element.id} (${element.type}):`, error);
+      }
+    }
+
+    return lines;
+  }
+
+  /**
+   * Save the job to disk via browser download.
+   */
+  saveFile(content, filename) {
+    const url = URL.createObjectURL(new Blob([content], { type: 'text/plain' }));
+    const a   = document.createElement('a');
+    a.href     = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 5000);
+  }
+
+  /**
+   * Open the job text in a new browser tab.
+   */
+  openInNewTab(content) {
+    const url = URL.createObjectURL(new Blob([content], { type: 'text/plain' }));
+    const tab = window.open(url, '_blank');
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+    return tab;
+  }
+}
+
+window.PrinterLanguages        = PrinterLanguages;
+window.PrinterCommandGenerator = PrinterCommandGenerator;
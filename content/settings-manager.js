@@ -14,15 +14,49 @@ class SettingsManager {
         debugMode: false,
         lastSelectedTab: 'downloads',
         pdfDPI: 300, // PDF rendering DPI (150, 300, 600)
+        sheetStartCell: 1, // First cell to print on multi-up sheet templates (1-based)
+        outputFormat: 'pdf', // 'pdf' or a PrinterLanguages id ('zpl')
+        printerDPI: 203, // Native printer resolution for printer-language output (203, 300)
+        dateFormat: '', // Expiry date format, e.g. 'DD/MM/YYYY'; '' uses the marketplace's
         conditionSettings: {
           enabled: true,
           text: 'NEW',
           position: 'bottom-left' // 'bottom-left', 'bottom-right', 'title-prefix'
         }
       },
+      // Per Seller Central domain overrides, e.g. 'sellercentral.amazon.co.uk':
+      // { selectedTemplateId, globalSettings: { only the keys that differ } }
+      marketplaceProfiles: {},
+      // Ordered label rules (see LabelRules)
+      labelRules: [],
       lastUpdated: new Date().toISOString()
     };
 
+    // UI preferences that stay global even when edited from a marketplace profile
+    this.globalOnlyKeys = ['lastSelectedTab'];
+
+    // Settings kept in storage.local under their own keys: they grow with use
+    // and would push fnsku_extension_settings past storage.sync's 8KB item limit
+    this.localKeys = {
+      labelRules:          'fnsku_label_rules',
+      marketplaceProfiles: 'fnsku_marketplace_profiles'
+    };
+
+    // Local date format of each Seller Central domain, for dateFormat ''
+    this.marketplaceDateFormats = {
+      'sellercentral.amazon.com':    'MM/DD/YYYY',
+      'sellercentral.amazon.ca':     'YYYY-MM-DD',
+      'sellercentral.amazon.co.uk':  'DD/MM/YYYY',
+      'sellercentral.amazon.de':     'DD.MM.YYYY',
+      'sellercentral.amazon.fr':     'DD/MM/YYYY',
+      'sellercentral.amazon.it':     'DD/MM/YYYY',
+      'sellercentral.amazon.es':     'DD/MM/YYYY',
+      'sellercentral.amazon.co.jp':  'YYYY/MM/DD',
+      'sellercentral.amazon.com.au': 'DD/MM/YYYY',
+      'sellercentral.amazon.in':     'DD/MM/YYYY',
+      'sellercentral-europe.amazon.com': 'DD/MM/YYYY'
+    };
+
     this.eventListeners = new Map();
     this.saveTimeout = null;
     this.saveDelay = 500; // 500ms debounce
@@ -145,12 +179,18 @@ class SettingsManager {
         autoOpenTabs: false,
         debugMode: false,
         pdfDPI: 300,
+        sheetStartCell: 1,
+        outputFormat: 'pdf',
+        printerDPI: 203,
+        dateFormat: '',
         conditionSettings: {
           enabled: true,
           text: 'NEW',
           position: 'bottom-left'
         }
       },
+      marketplaceProfiles: {},
+      labelRules: [],
       lastUpdated: new Date().toISOString()
     };
 
@@ -178,6 +218,13 @@ class SettingsManager {
         // Try to migrate from old storage format
         await this.migrateOldSettings();
       }
+
+      // Copies still inside the synced item (older versions) are used until
+      // the next save moves them out
+      const local = await chrome.storage.local.get(Object.values(this.localKeys));
+      for (const [setting, key] of Object.entries(this.localKeys)) {
+        if (local[key] !== undefined) this.settings[setting] = local[key];
+      }
     } catch (error) {
       console.error('Failed to load settings:', error);
       // Use defaults if loading fails
@@ -264,8 +311,16 @@ class SettingsManager {
     this.saving = true;
 
     try {
+      const synced = { ...this.settings };
+      const local  = {};
+      for (const [setting, key] of Object.entries(this.localKeys)) {
+        local[key] = synced[setting];
+        delete synced[setting];
+      }
+
+      await chrome.storage.local.set(local);
       await chrome.storage.sync.set({
-        fnsku_extension_settings: this.settings
+        fnsku_extension_settings: synced
       });
 
       this.emit('settingsSaved', this.settings);
@@ -408,6 +463,144 @@ class SettingsManager {
     }
   }
 
+  // ─── Label Rules ───────────────────────────────────────────────────────────
+
+  /**
+   * Ordered label rules
+   * @returns {Object[]}
+   */
+  async getLabelRules() {
+    await this.ensureInitialized();
+    return [...(this.settings.labelRules || [])];
+  }
+
+  /**
+   * Replace the label rules. The whole list is validated first.
+   * @param {Object[]} rules - Ordered rules
+   */
+  async setLabelRules(rules) {
+    await this.ensureInitialized();
+
+    const errors = LabelRules.validate(rules);
+    if (errors.length > 0) {
+      throw new Error(`Invalid label rules: ${errors.join('; ')}`);
+    }
+
+    this.settings.labelRules  = rules;
+    this.settings.lastUpdated = new Date().toISOString();
+
+    this.emit('settingsChanged', this.settings);
+    await this.debouncedSave();
+  }
+
+  // ─── Marketplace Profiles ──────────────────────────────────────────────────
+
+  /**
+   * Settings as they apply on one marketplace: its profile's template and
+   * overrides on top of the global defaults. Without a marketplace, or
+   * without a profile for it, this is the global settings.
+   * @param {string|null} marketplace - Seller Central hostname
+   * @returns {Object} { selectedTemplateId, globalSettings, marketplace, hasProfile,
+   *   marketplaceDateFormat, ... }
+   */
+  async resolveSettings(marketplace = null) {
+    await this.ensureInitialized();
+
+    const { marketplaceProfiles = {}, ...settings } = this.settings;
+    const profile = marketplace ? marketplaceProfiles[marketplace] : null;
+
+    return {
+      ...settings,
+      selectedTemplateId: profile?.selectedTemplateId || settings.selectedTemplateId,
+      globalSettings: { ...settings.globalSettings, ...(profile?.globalSettings || {}) },
+      marketplace,
+      hasProfile: !!profile,
+      marketplaceDateFormat: this.marketplaceDateFormats[marketplace] || null
+    };
+  }
+
+  /**
+   * Marketplaces that have a profile
+   * @returns {string[]} Hostnames
+   */
+  async getProfileMarketplaces() {
+    await this.ensureInitialized();
+    return Object.keys(this.settings.marketplaceProfiles || {});
+  }
+
+  /**
+   * Save settings for one marketplace. Only values that differ from the
+   * global settings are kept, so later global changes still flow through
+   * to everything the profile doesn't override.
+   * @param {string} marketplace - Seller Central hostname
+   * @param {Object} settings - { selectedTemplateId, globalSettings } as resolved for it
+   */
+  async saveMarketplaceProfile(marketplace, { selectedTemplateId, globalSettings = {} }) {
+    await this.ensureInitialized();
+
+    const global    = this.settings.globalSettings;
+    const overrides = {};
+    for (const [key, value] of Object.entries(globalSettings)) {
+      if (this.globalOnlyKeys.includes(key)) {
+        global[key] = value;
+      } else if (JSON.stringify(value) !== JSON.stringify(global[key])) {
+        overrides[key] = value;
+      }
+    }
+
+    const profile = { globalSettings: overrides };
+    if (selectedTemplateId && selectedTemplateId !== this.settings.selectedTemplateId) {
+      profile.selectedTemplateId = selectedTemplateId;
+    }
+
+    // A profile that overrides nothing is the defaults — don't keep one
+    const profiles = { ...this.settings.marketplaceProfiles, [marketplace]: profile };
+    if (!profile.selectedTemplateId && Object.keys(overrides).length === 0) {
+      delete profiles[marketplace];
+    }
+
+    this.settings.marketplaceProfiles = profiles;
+    this.settings.lastUpdated = new Date().toISOString();
+
+    this.emit('settingsChanged', this.settings);
+    await this.debouncedSave();
+  }
+
+  /**
+   * Drop a marketplace's profile so it uses the global settings again
+   * @param {string} marketplace - Seller Central hostname
+   */
+  async deleteMarketplaceProfile(marketplace) {
+    await this.ensureInitialized();
+
+    const profiles = { ...this.settings.marketplaceProfiles };
+    if (!profiles[marketplace]) return;
+    delete profiles[marketplace];
+
+    this.settings.marketplaceProfiles = profiles;
+    this.settings.lastUpdated = new Date().toISOString();
+
+    this.emit('settingsChanged', this.settings);
+    await this.debouncedSave();
+  }
+
+  /**
+   * Point profiles that selected a deleted template back at the global one
+   * @param {string} templateId - Deleted template ID
+   */
+  async forgetTemplate(templateId) {
+    await this.ensureInitialized();
+
+    let changed = false;
+    for (const profile of Object.values(this.settings.marketplaceProfiles || {})) {
+      if (profile.selectedTemplateId === templateId) {
+        delete profile.selectedTemplateId;
+        changed = true;
+      }
+    }
+    if (changed) await this.debouncedSave();
+  }
+
   /**
    * Get extension state (enabled/disabled)
    */
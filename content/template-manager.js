@@ -77,12 +77,123 @@ class TemplateManager {
         ],
         createdAt: '2025-01-01T00:00:00.000Z',
         updatedAt: '2025-01-01T00:00:00.000Z'
+      },
+
+      // ─── Multi-up sheets (office laser/inkjet printers) ──────────────────
+      // width/height describe one label cell; `sheet` describes the page grid.
+
+      avery_5160: {
+        id: 'avery_5160',
+        name: 'Avery 5160 (30-up Letter)',
+        baseName: 'Avery 5160 (30-up Letter)',
+        userCreated: false,
+        width: 66.675,
+        height: 25.4,
+        units: 'mm',
+        orientation: 'landscape',
+        sheet: {
+          pageWidth: 215.9, pageHeight: 279.4,
+          columns: 3, rows: 10,
+          marginTop: 12.7, marginLeft: 4.7625,
+          gutterX: 3.175, gutterY: 0
+        },
+        elements: [
+          { id: 'b1', type: 'barcode',   dataField: 'fnsku',     enabled: true,
+            x: 4,     y: 1.5,  width: 58.7, height: 9.5, format: 'CODE128' },
+          { id: 't1', type: 'data_text', dataField: 'fnsku',     enabled: true,
+            x: 33.35, y: 14,   fontSize: 7,  align: 'center', bold: false },
+          { id: 't2', type: 'data_text', dataField: 'sku',       enabled: true,
+            x: 33.35, y: 17.6, fontSize: 8,  align: 'center', bold: true },
+          { id: 't3', type: 'data_text', dataField: 'title',     enabled: true,
+            x: 33.35, y: 20.8, fontSize: 5,  align: 'center', maxLength: 55 },
+          { id: 't4', type: 'data_text', dataField: 'condition', enabled: true,
+            x: 2,     y: 24,   fontSize: 5,  align: 'left' }
+        ],
+        createdAt: '2025-01-01T00:00:00.000Z',
+        updatedAt: '2025-01-01T00:00:00.000Z'
+      },
+
+      a4_24up: {
+        id: 'a4_24up',
+        name: 'A4 24-up',
+        baseName: 'A4 24-up',
+        userCreated: false,
+        width: 63.5,
+        height: 33.9,
+        units: 'mm',
+        orientation: 'landscape',
+        sheet: {
+          pageWidth: 210, pageHeight: 297,
+          columns: 3, rows: 8,
+          marginTop: 12.9, marginLeft: 7.25,
+          gutterX: 2.5, gutterY: 0
+        },
+        elements: [
+          { id: 'b1', type: 'barcode',   dataField: 'fnsku',     enabled: true,
+            x: 4,     y: 2,    width: 55.5, height: 12, format: 'CODE128' },
+          { id: 't1', type: 'data_text', dataField: 'fnsku',     enabled: true,
+            x: 31.75, y: 17.5, fontSize: 8,  align: 'center', bold: false },
+          { id: 't2', type: 'data_text', dataField: 'sku',       enabled: true,
+            x: 31.75, y: 22.5, fontSize: 10, align: 'center', bold: true },
+          { id: 't3', type: 'data_text', dataField: 'title',     enabled: true,
+            x: 31.75, y: 26.5, fontSize: 6,  align: 'center', maxLength: 50 },
+          { id: 't4', type: 'data_text', dataField: 'condition', enabled: true,
+            x: 2,     y: 31.5, fontSize: 5,  align: 'left' }
+        ],
+        createdAt: '2025-01-01T00:00:00.000Z',
+        updatedAt: '2025-01-01T00:00:00.000Z'
+      },
+
+      a4_21up: {
+        id: 'a4_21up',
+        name: 'A4 21-up',
+        baseName: 'A4 21-up',
+        userCreated: false,
+        width: 63.5,
+        height: 38.1,
+        units: 'mm',
+        orientation: 'landscape',
+        sheet: {
+          pageWidth: 210, pageHeight: 297,
+          columns: 3, rows: 7,
+          marginTop: 15.15, marginLeft: 7.25,
+          gutterX: 2.5, gutterY: 0
+        },
+        elements: [
+          { id: 'b1', type: 'barcode',   dataField: 'fnsku',     enabled: true,
+            x: 4,     y: 3,    width: 55.5, height: 14, format: 'CODE128' },
+          { id: 't1', type: 'data_text', dataField: 'fnsku',     enabled: true,
+            x: 31.75, y: 20.5, fontSize: 8,  align: 'center', bold: false },
+          { id: 't2', type: 'data_text', dataField: 'sku',       enabled: true,
+            x: 31.75, y: 25.5, fontSize: 11, align: 'center', bold: true },
+          { id: 't3', type: 'data_text', dataField: 'title',     enabled: true,
+            x: 31.75, y: 30,   fontSize: 6,  align: 'center', maxLength: 50 },
+          { id: 't4', type: 'data_text', dataField: 'condition', enabled: true,
+            x: 2,     y: 35.5, fontSize: 5,  align: 'left' }
+        ],
+        createdAt: '2025-01-01T00:00:00.000Z',
+        updatedAt: '2025-01-01T00:00:00.000Z'
       }
     };
 
     this.userTemplates = {};
     this.eventListeners = new Map();
     this.initialized = false;
+
+    // Template file format. Bump schemaVersion when exported templates change
+    // shape, and add a migration from the previous version.
+    this.exportFormat  = 'fnsku-label-template';
+    this.schemaVersion = 1;
+    this.schemaMigrations = {
+      0: (data) => this.migrateV0toV1(data)
+    };
+
+    // Text below this size (pt) tends to fill in on 203 dpi thermal printers
+    this.minPrintableFontSize = 5;
+
+    // Revision history of user templates (storage.local, fnsku_revisions_{id})
+    this.maxRevisions       = 25;
+    this.revisionIntervalMs = 60 * 1000; // a burst of edits becomes one revision
   }
 
   /**
@@ -194,12 +305,49 @@ class TemplateManager {
   }
 
   /**
-   * Update an existing user template
+   * Add a user template keeping its id and timestamps, as when restoring
+   * a backup. Fails if the id is already taken.
+   * @param {Object} template - Complete template including id
+   * @returns {Object} Added template
+   */
+  async addUserTemplate(template) {
+    await this.ensureInitialized();
+
+    if (this.builtInTemplates[template.id] || this.userTemplates[template.id]) {
+      throw new Error(`Template ${template.id} already exists`);
+    }
+
+    const validation = this.validateTemplate(template);
+    if (!validation.isValid) {
+      throw new Error(`Template validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    const added = {
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      ...template,
+      userCreated: true
+    };
+    delete added.displayName;
+
+    this.userTemplates[added.id] = added;
+    await this.saveUserTemplate(added);
+
+    this.emit('templateCreated', added);
+
+    return { ...added };
+  }
+
+  /**
+   * Update an existing user template. The version being replaced is kept
+   * as a revision (see recordRevision).
    * @param {string} templateId - Template ID
    * @param {Object} templateData - Updated template data
+   * @param {Object} [options]
+   * @param {boolean} [options.forceRevision] - Always start a new revision
    * @returns {Object} Updated template
    */
-  async updateTemplate(templateId, templateData) {
+  async updateTemplate(templateId, templateData, { forceRevision = false } = {}) {
     await this.ensureInitialized();
 
     // Check if template exists and is user-created
@@ -222,10 +370,12 @@ class TemplateManager {
       updatedAt: new Date().toISOString()
     };
 
+    const previous = this.userTemplates[templateId];
     this.userTemplates[templateId] = updatedTemplate;
 
     // Save to storage (own key)
     await this.saveUserTemplate(updatedTemplate);
+    await this.recordRevision(previous, updatedTemplate, forceRevision);
 
     // Emit event
     this.emit('templateUpdated', updatedTemplate);
@@ -251,6 +401,7 @@ class TemplateManager {
 
     // Remove from storage
     await this.removeUserTemplate(templateId);
+    await this.removeRevisions(templateId);
 
     // Emit event
     this.emit('templateDeleted', template);
@@ -291,60 +442,69 @@ class TemplateManager {
       validation.isValid = false;
     }
 
-    // Elements validation — array of typed instances
+    // Elements validation — array of typed instances, each checked against
+    // its ElementRegistry schema. Problems are also collected per element id
+    // so the inspector can show them next to the element.
+    validation.elementErrors   = {};
+    validation.elementWarnings = {};
+
     if (!Array.isArray(template.elements) || template.elements.length === 0) {
       validation.errors.push('Template elements must be a non-empty array');
       validation.isValid = false;
     } else {
-      const knownTypes = ['barcode', 'data_text', 'static_text', 'image'];
+      const knownTypes = ElementRegistry.types;
 
       template.elements.forEach((element, index) => {
         const label = `Element[${index}]`;
-
-        if (!element.id) {
-          validation.errors.push(`${label} must have an id`);
+        const error = (message, context = '') => {
+          validation.errors.push(`${label} ${context}${message}`);
           validation.isValid = false;
-        }
+          if (element.id) (validation.elementErrors[element.id] ||= []).push(message);
+        };
+
+        if (!element.id) error('must have an id');
 
         if (!element.type || !knownTypes.includes(element.type)) {
-          validation.errors.push(`${label} type must be one of: ${knownTypes.join(', ')}`);
-          validation.isValid = false;
+          error(`type must be one of: ${knownTypes.join(', ')}`);
+          return;
         }
 
-        if (typeof element.x !== 'number' || element.x < 0) {
-          validation.errors.push(`${label} x must be a non-negative number`);
-          validation.isValid = false;
-        }
+        const typed = (message) => error(message, `(${element.type}) `);
 
-        if (typeof element.y !== 'number' || element.y < 0) {
-          validation.errors.push(`${label} y must be a non-negative number`);
-          validation.isValid = false;
-        }
+        if (typeof element.x !== 'number' || element.x < 0) error('x must be a non-negative number');
+        if (typeof element.y !== 'number' || element.y < 0) error('y must be a non-negative number');
 
-        if (['barcode', 'image'].includes(element.type)) {
-          if (typeof element.width !== 'number' || element.width <= 0) {
-            validation.errors.push(`${label} (${element.type}) width must be a positive number`);
-            validation.isValid = false;
-          }
-          if (typeof element.height !== 'number' || element.height <= 0) {
-            validation.errors.push(`${label} (${element.type}) height must be a positive number`);
-            validation.isValid = false;
+        if (element.rotation !== undefined) {
+          if (typeof element.rotation !== 'number' || !isFinite(element.rotation)) {
+            typed('rotation must be a number of degrees');
+          } else if (!ElementRegistry[element.type].freeRotation && element.rotation % 90 !== 0) {
+            typed('rotation must be 0, 90, 180 or 270');
           }
         }
 
-        if (['data_text', 'static_text'].includes(element.type)) {
-          if (typeof element.fontSize !== 'number' || element.fontSize <= 0) {
-            validation.errors.push(`${label} (${element.type}) fontSize must be a positive number`);
-            validation.isValid = false;
-          }
+        ElementRegistry.validateElement(element).forEach(typed);
+        VisibilityRules.validate(element.visibleWhen).forEach(typed);
+
+        if (typeof element.template === 'string') {
+          TemplateString.validate(element.template).forEach(message => typed(`template: ${message}`));
         }
       });
 
-      const hasContent = template.elements.some(e => e.type === 'barcode' || e.type === 'data_text');
+      const hasContent = template.elements.some(e => ElementRegistry[e.type]?.carriesData);
       if (!hasContent) {
-        validation.errors.push('Template must include at least one barcode or data_text element');
+        validation.errors.push('Template must include at least one barcode, 2D code, data_text or template_text element');
         validation.isValid = false;
       }
+
+      // Printability checks only make sense once the elements are well-formed
+      if (validation.isValid && template.width > 0 && template.height > 0) {
+        this.checkLayout(template, validation);
+      }
+    }
+
+    // Optional multi-up sheet layout — every cell must fit on the page
+    if (template.sheet !== undefined && template.sheet !== null) {
+      this.validateSheet(template, validation);
     }
 
     // Warnings for best practices
@@ -359,6 +519,127 @@ class TemplateManager {
     return validation;
   }
 
+  /**
+   * Printability warnings for a well-formed template, appended to a
+   * validation result: elements running off the label, barcodes overlapping
+   * text or crowding their quiet zone, and text too small to print cleanly.
+   * Bounds come from ElementRegistry, so rotation is taken into account;
+   * text extents are estimates without product data.
+   * @param {Object} template - Template to check
+   * @param {Object} validation - Validation result to append to
+   */
+  checkLayout(template, validation) {
+    const elements = template.elements.filter(e => e.enabled !== false);
+    const boxes    = new Map(elements.map(e => [e, ElementRegistry.getBounds(e)]));
+    const name     = (element) => ElementRegistry[element.type].label;
+    const isText   = (element) => !!ElementRegistry[element.type].content;
+    const warn     = (element, message) => {
+      validation.warnings.push(`Element[${template.elements.indexOf(element)}] (${element.type}) ${message}`);
+      (validation.elementWarnings[element.id] ||= []).push(message);
+    };
+
+    const outside = (box) => box.x < -0.01 || box.y < -0.01 ||
+      box.x + box.width  > template.width  + 0.01 ||
+      box.y + box.height > template.height + 0.01;
+    const overlaps = (a, b) => a.x < b.x + b.width - 0.01 && b.x < a.x + a.width - 0.01 &&
+      a.y < b.y + b.height - 0.01 && b.y < a.y + a.height - 0.01;
+
+    for (const element of elements) {
+      const box = boxes.get(element);
+
+      if (outside(box)) {
+        warn(element, `extends outside the ${template.width}×${template.height}mm label`);
+      }
+
+      if (isText(element)) {
+        const smallest = ElementRegistry._shrinkLimit(element, element.fontSize);
+        if (smallest < this.minPrintableFontSize) {
+          warn(element, smallest < element.fontSize
+            ? `can shrink to ${smallest}pt — text under ${this.minPrintableFontSize}pt may not print legibly`
+            : `font size ${smallest}pt may not print legibly (under ${this.minPrintableFontSize}pt)`);
+        }
+      }
+
+      if (element.type !== 'barcode') continue;
+
+      // Other content (not background shapes) the bars or their margins run into
+      const neighbours = elements.filter(other =>
+        other !== element && !ElementRegistry[other.type].behindContent
+      );
+
+      for (const other of neighbours.filter(isText)) {
+        if (overlaps(box, boxes.get(other))) {
+          warn(element, `overlaps ${name(other)} "${other.dataField || other.value || other.template || ''}"`);
+        }
+      }
+
+      const margin = ElementRegistry.barcode.quietZone(element);
+      const zone   = ElementRegistry._rotateBox(
+        element.x - margin, element.y, element.width + margin * 2, element.height,
+        element.x, element.y, ElementRegistry._rotation(element)
+      );
+      const crowded = neighbours.filter(other => overlaps(zone, boxes.get(other)) && !overlaps(box, boxes.get(other)));
+      if (outside(zone) || crowded.length > 0) {
+        const cause = crowded.length > 0 ? `is crowded by ${crowded.map(name).join(', ')}` : 'runs off the label';
+        warn(element, `quiet zone (${margin.toFixed(1)}mm each side) ${cause} — scanners may fail to read it`);
+      }
+    }
+  }
+
+  /**
+   * Validate a template's sheet layout, appending to an existing validation result
+   * @param {Object} template - Template with a `sheet` object
+   * @param {Object} validation - Validation result to append to
+   */
+  validateSheet(template, validation) {
+    const sheet = template.sheet;
+
+    if (typeof sheet !== 'object') {
+      validation.errors.push('Template sheet must be an object');
+      validation.isValid = false;
+      return;
+    }
+
+    ['pageWidth', 'pageHeight'].forEach(key => {
+      if (typeof sheet[key] !== 'number' || sheet[key] <= 0) {
+        validation.errors.push(`Sheet ${key} must be a positive number`);
+        validation.isValid = false;
+      }
+    });
+
+    ['rows', 'columns'].forEach(key => {
+      if (!Number.isInteger(sheet[key]) || sheet[key] < 1) {
+        validation.errors.push(`Sheet ${key} must be a positive integer`);
+        validation.isValid = false;
+      }
+    });
+
+    ['marginTop', 'marginLeft', 'gutterX', 'gutterY'].forEach(key => {
+      if (sheet[key] !== undefined && (typeof sheet[key] !== 'number' || sheet[key] < 0)) {
+        validation.errors.push(`Sheet ${key} must be a non-negative number`);
+        validation.isValid = false;
+      }
+    });
+
+    if (!validation.isValid) return;
+
+    // Small tolerance for rounded inch → mm conversions
+    const usedWidth = (sheet.marginLeft || 0) +
+      sheet.columns * template.width + (sheet.columns - 1) * (sheet.gutterX || 0);
+    const usedHeight = (sheet.marginTop || 0) +
+      sheet.rows * template.height + (sheet.rows - 1) * (sheet.gutterY || 0);
+
+    if (usedWidth > sheet.pageWidth + 0.01) {
+      validation.errors.push(`Sheet columns need ${usedWidth.toFixed(1)}mm but page is ${sheet.pageWidth}mm wide`);
+      validation.isValid = false;
+    }
+
+    if (usedHeight > sheet.pageHeight + 0.01) {
+      validation.errors.push(`Sheet rows need ${usedHeight.toFixed(1)}mm but page is ${sheet.pageHeight}mm tall`);
+      validation.isValid = false;
+    }
+  }
+
   /**
    * Load user templates from storage.
    * Each template stored under its own key (fnsku_template_{id}) to stay
@@ -403,6 +684,140 @@ class TemplateManager {
     }
   }
 
+  // ─── Revisions ─────────────────────────────────────────────────────────────
+
+  /**
+   * Past versions of a user template, newest first:
+   * [{ id, savedAt, summary, template }]. `template` is the version as it
+   * was; `summary` describes what the following save changed.
+   * Kept in storage.local — revisions would soon fill storage.sync's quota.
+   * @param {string} templateId - Template ID
+   * @returns {Array} Revisions
+   */
+  async getRevisions(templateId) {
+    try {
+      const key    = `fnsku_revisions_${templateId}`;
+      const result = await chrome.storage.local.get(key);
+      return result[key] || [];
+    } catch (error) {
+      console.error('Failed to load template revisions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Keep `previous` as a revision after it was replaced by `updated`.
+   * Saves within revisionIntervalMs of the newest revision extend it instead
+   * of adding another, so the popup's autosave doesn't flood the history.
+   */
+  async recordRevision(previous, updated, force = false) {
+    try {
+      const revisions = await this.getRevisions(previous.id);
+      const newest    = revisions[0];
+      const recent    = newest && Date.now() - new Date(newest.savedAt).getTime() < this.revisionIntervalMs;
+
+      if (recent && !force) {
+        newest.summary = this.summarizeChanges(newest.template, updated);
+      } else {
+        revisions.unshift({
+          id: `rev_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`,
+          savedAt: new Date().toISOString(),
+          summary: this.summarizeChanges(previous, updated),
+          template: previous
+        });
+      }
+
+      await chrome.storage.local.set({
+        [`fnsku_revisions_${previous.id}`]: revisions.slice(0, this.maxRevisions)
+      });
+    } catch (error) {
+      // History is best effort — never fail the save itself
+      console.error('Failed to record template revision:', error);
+    }
+  }
+
+  /**
+   * Roll a user template back to a revision. The current version becomes
+   * a revision itself, so a restore can be undone the same way.
+   * @param {string} templateId - Template ID
+   * @param {string} revisionId - Revision ID
+   * @returns {Object} Restored template
+   */
+  async restoreRevision(templateId, revisionId) {
+    const revision = (await this.getRevisions(templateId)).find(r => r.id === revisionId);
+    if (!revision) {
+      throw new Error('Revision not found');
+    }
+
+    const restored = { ...revision.template };
+    delete restored.createdAt;
+    delete restored.updatedAt;
+
+    return await this.updateTemplate(templateId, restored, { forceRevision: true });
+  }
+
+  async removeRevisions(templateId) {
+    try {
+      await chrome.storage.local.remove(`fnsku_revisions_${templateId}`);
+    } catch (error) {
+      console.error('Failed to remove template revisions:', error);
+    }
+  }
+
+  /**
+   * Short description of the differences between two versions of a
+   * template, e.g. "Resized label 57×32 → 60×40; moved Barcode".
+   * @returns {string}
+   */
+  summarizeChanges(before, after) {
+    const changes = [];
+
+    if (before.name !== after.name) changes.push(`renamed to "${after.name}"`);
+    if (before.width !== after.width || before.height !== after.height || before.units !== after.units) {
+      changes.push(`resized label ${before.width}×${before.height} → ${after.width}×${after.height}${after.units || 'mm'}`);
+    }
+    if (JSON.stringify(before.sheet) !== JSON.stringify(after.sheet)) changes.push('changed sheet layout');
+
+    const beforeElements = new Map((before.elements || []).map(e => [e.id, e]));
+    const afterElements  = new Map((after.elements  || []).map(e => [e.id, e]));
+    const label = (element) => ElementRegistry[element.type]?.label || element.type;
+
+    for (const [id, element] of afterElements) {
+      if (!beforeElements.has(id)) changes.push(`added ${label(element)}`);
+    }
+    for (const [id, element] of beforeElements) {
+      if (!afterElements.has(id)) changes.push(`removed ${label(element)}`);
+    }
+
+    for (const [id, element] of afterElements) {
+      const old = beforeElements.get(id);
+      if (!old) continue;
+
+      const props = [...new Set([...Object.keys(old), ...Object.keys(element)])]
+        .filter(prop => JSON.stringify(old[prop]) !== JSON.stringify(element[prop]));
+      if (props.length === 0) continue;
+
+      const geometry = ['x', 'y', 'width', 'height', 'size', 'boxWidth'];
+      if (props.every(prop => prop === 'x' || prop === 'y')) {
+        changes.push(`moved ${label(element)}`);
+      } else if (props.every(prop => geometry.includes(prop))) {
+        changes.push(`resized ${label(element)}`);
+      } else {
+        changes.push(`edited ${label(element)} (${props.filter(p => !geometry.includes(p)).join(', ')})`);
+      }
+    }
+
+    const orderChanged = changes.length === 0
+      && JSON.stringify([...beforeElements.keys()]) !== JSON.stringify([...afterElements.keys()]);
+    if (orderChanged) changes.push('reordered elements');
+
+    if (changes.length === 0) return 'No changes';
+
+    const shown   = changes.slice(0, 3).join('; ');
+    const summary = changes.length > 3 ? `${shown}; and ${changes.length - 3} more` : shown;
+    return summary.charAt(0).toUpperCase() + summary.slice(1);
+  }
+
   /**
    * Get built-in templates only
    * @returns {Array} Array of built-in templates
@@ -493,6 +908,7 @@ class TemplateManager {
     this.userTemplates = {};
 
     await Promise.all(ids.map(id => this.removeUserTemplate(id)));
+    await Promise.all(ids.map(id => this.removeRevisions(id)));
 
     this.emit('templatesCleared', deletedTemplates);
 
@@ -500,9 +916,10 @@ class TemplateManager {
   }
 
   /**
-   * Export template for sharing
+   * Export template for sharing, as a versioned template file:
+   * { format, schemaVersion, exportedAt, template }
    * @param {string} templateId - Template ID
-   * @returns {Object} Exportable template data
+   * @returns {Object} Exportable template file
    */
   async exportTemplate(templateId) {
     const template = await this.getTemplate(templateId);
@@ -515,25 +932,95 @@ class TemplateManager {
     delete exportData.id;
     delete exportData.createdAt;
     delete exportData.updatedAt;
-
-    return exportData;
+    delete exportData.userCreated;
+    delete exportData.displayName;
+
+    return {
+      format: this.exportFormat,
+      schemaVersion: this.schemaVersion,
+      exportedAt: new Date().toISOString(),
+      template: exportData
+    };
   }
 
   /**
-   * Import template from external data
-   * @param {Object} templateData - Template data to import
+   * Import template from an exported file. Older schema versions are
+   * migrated first; the result is validated like any new template.
+   * @param {Object} fileData - Parsed template file
    * @returns {Object} Imported template
    */
-  async importTemplate(templateData) {
+  async importTemplate(fileData) {
+    const { template } = this.migrateTemplateFile(fileData);
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+      throw new Error('Template file has no template');
+    }
+
+    // Whatever the schema version, a file never brings its own identity: an
+    // id could overwrite a user template or shadow a built-in one
+    const { id, createdAt, updatedAt, userCreated, displayName, ...fields } = template;
+
     // Add import metadata
     const importData = {
-      ...templateData,
-      name: `${templateData.name} (Imported)`,
+      ...fields,
+      name: `${template.name} (Imported)`,
       userCreated: true
     };
 
     return await this.createTemplate(importData);
   }
+
+  /**
+   * Bring a template file up to the current schemaVersion, one migration
+   * at a time. Files without a schemaVersion are version 0.
+   * @param {Object} fileData - Parsed template file
+   * @returns {Object} Template file at the current schema version
+   */
+  migrateTemplateFile(fileData) {
+    if (!fileData || typeof fileData !== 'object' || Array.isArray(fileData)) {
+      throw new Error('Template file must contain a JSON object');
+    }
+    if (fileData.format !== undefined && fileData.format !== this.exportFormat) {
+      throw new Error(`Not a label template file (format "${fileData.format}")`);
+    }
+
+    let version = fileData.schemaVersion ?? 0;
+    if (!Number.isInteger(version) || version < 0) {
+      throw new Error(`Invalid schemaVersion "${fileData.schemaVersion}"`);
+    }
+    if (version > this.schemaVersion) {
+      throw new Error(`Template file uses schema version ${version}, but this extension reads up to ${this.schemaVersion} — update the extension first`);
+    }
+
+    let migrated = fileData;
+    while (version < this.schemaVersion) {
+      migrated = this.schemaMigrations[version](migrated);
+      version++;
+    }
+    return migrated;
+  }
+
+  /**
+   * Version 0 files are the bare template object earlier exports produced,
+   * sometimes with internal fields and elements lacking ids or `enabled`.
+   */
+  migrateV0toV1(data) {
+    const template = { ...data };
+    delete template.id;
+    delete template.createdAt;
+    delete template.updatedAt;
+    delete template.userCreated;
+    delete template.displayName;
+
+    if (Array.isArray(template.elements)) {
+      template.elements = template.elements.map(element => ({
+        ...element,
+        id: element.id || ElementRegistry.generateId(),
+        enabled: element.enabled !== false
+      }));
+    }
+
+    return { format: this.exportFormat, schemaVersion: 1, template };
+  }
 }
 
 // Export for both content script (window) and service worker (self) contexts
@@ -0,0 +1,217 @@
+/**
+ * Template String
+ * Fills `{field}` placeholders from product data, for template_text elements
+ * and 2D code templates. A placeholder can pipe its value through formatters:
+ *
+ *   {sku} · {asin}                  → "ABC-1 · B0FXH65FKG"
+ *   {title|truncate:20|upper}       → first 20 characters, upper-cased
+ *   {expiry|date:YYYY-MM}           → "2026-10"
+ *   {expiry|date}                   → in the label's date format, e.g. "31/10/2026"
+ *   {lot|default:N/A}               → "N/A" when lot is empty
+ *
+ * Formatters run left to right. `{{` and `}}` produce literal braces.
+ * The label's date format travels in the data as `dateFormat` (see dateFormat()).
+ */
+
+const TemplateString = {
+
+  // Date format when neither the settings nor the marketplace name one
+  defaultDateFormat: 'YYYY-MM-DD',
+
+  /**
+   * Formatters by name: (value, arg, data) → string. `arg` is the raw text after
+   * the first colon (or undefined), so arguments may themselves contain colons.
+   */
+  formatters: {
+    upper: (value) => value.toUpperCase(),
+
+    lower: (value) => value.toLowerCase(),
+
+    /** truncate:N — cut to N characters, ending in … when shortened */
+    truncate(value, arg) {
+      const max = parseInt(arg, 10);
+      if (!(max > 0) || value.length <= max) return value;
+      return value.substring(0, Math.max(1, max - 1)) + '…';
+    },
+
+    /** pad:N or pad:N:C — left-pad to N characters with C (default "0") */
+    pad(value, arg = '') {
+      const [width, fill = '0'] = arg.split(':');
+      return value.padStart(parseInt(width, 10) || 0, fill || '0');
+    },
+
+    /**
+     * date:FORMAT — tokens YYYY, YY, MM, DD; unparseable values pass through.
+     * Without FORMAT the label's date format is used.
+     */
+    date(value, arg, data = {}) {
+      const date = TemplateString.parseDate(value);
+      if (!date) return value;
+
+      const format = arg || data.dateFormat || TemplateString.defaultDateFormat;
+      const parts = {
+        YYYY: String(date.year),
+        YY:   String(date.year).slice(-2),
+        MM:   String(date.month).padStart(2, '0'),
+        DD:   String(date.day).padStart(2, '0')
+      };
+      return format.replace(/YYYY|YY|MM|DD/g, token => parts[token]);
+    },
+
+    /** default:TEXT — TEXT when the value is empty */
+    default: (value, arg = '') => value === '' ? arg : value
+  },
+
+  /**
+   * Render a template string against product data.
+   * Missing fields render empty; unknown formatters are ignored.
+   *
+   * @param {string} template
+   * @param {Object} data - Product data ({ sku, fnsku, asin, ... })
+   * @returns {string}
+   */
+  render(template, data = {}) {
+    return TemplateString._tokenize(String(template || '')).map(token => {
+      if (token.text !== undefined) return token.text;
+
+      let value = data[token.field] ?? '';
+      value = String(value);
+      for (const { name, arg } of token.formatters) {
+        const formatter = TemplateString.formatters[name];
+        if (formatter) value = String(formatter(value, arg, data));
+      }
+      return value;
+    }).join('');
+  },
+
+  /**
+   * Syntax problems in a template string — unclosed placeholders and
+   * unknown formatter names.
+   * @returns {string[]} Error messages (empty when valid)
+   */
+  validate(template) {
+    const errors = [];
+    let tokens;
+
+    try {
+      tokens = TemplateString._tokenize(String(template || ''));
+    } catch (error) {
+      return [error.message];
+    }
+
+    for (const token of tokens) {
+      if (token.text !== undefined) continue;
+      if (!token.field) errors.push('Empty placeholder {}');
+      for (const { name } of token.formatters) {
+        if (!TemplateString.formatters[name]) {
+          errors.push(`Unknown formatter "${name}" in {${token.field}}`);
+        }
+      }
+    }
+
+    return errors;
+  },
+
+  /**
+   * Field names referenced by a template string.
+   * @returns {string[]}
+   */
+  fields(template) {
+    try {
+      return TemplateString._tokenize(String(template || ''))
+        .filter(token => token.field)
+        .map(token => token.field);
+    } catch {
+      return [];
+    }
+  },
+
+  /**
+   * Read a date from an ISO date (YYYY-MM-DD, optionally with a time),
+   * a Date or a timestamp. Date-only strings are taken literally, not as UTC
+   * midnight, so they never shift a day in western time zones. Months and
+   * days outside the calendar (2027-13-45, 2027-02-30) are not dates.
+   * @returns {{year: number, month: number, day: number}|null}
+   */
+  parseDate(value) {
+    const iso = /^(\d{4})-(\d{2})(?:-(\d{2}))?/.exec(String(value).trim());
+    if (iso) {
+      const [year, month, day] = [+iso[1], +iso[2], +(iso[3] || 1)];
+      if (month < 1 || month > 12 || day < 1 || day > new Date(year, month, 0).getDate()) return null;
+      return { year, month, day };
+    }
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (value === '' || isNaN(date.getTime())) return null;
+    return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
+  },
+
+  /**
+   * A date as YYYY-MM-DD, or '' when the value is not a date
+   */
+  isoDate(value) {
+    const date = TemplateString.parseDate(value);
+    if (!date) return '';
+    return [date.year, date.month, date.day].map((n, i) => String(n).padStart(i ? 2 : 4, '0')).join('-');
+  },
+
+  /**
+   * Date format labels print with: the one chosen in settings, else the
+   * marketplace's (resolved by the background), else ISO.
+   * @param {Object} settings - Plain settings object from background
+   */
+  dateFormat(settings = {}) {
+    return settings.globalSettings?.dateFormat || settings.marketplaceDateFormat || TemplateString.defaultDateFormat;
+  },
+
+  /**
+   * Split a template into literal text and placeholder tokens:
+   * [{ text }] and [{ field, formatters: [{ name, arg }] }].
+   */
+  _tokenize(template) {
+    const tokens = [];
+    let text = '';
+    let i = 0;
+
+    while (i < template.length) {
+      const ch = template[i];
+
+      if ((ch === '{' || ch === '}') && template[i + 1] === ch) {
+        text += ch;
+        i += 2;
+        continue;
+      }
+
+      if (ch === '{') {
+        const end = template.indexOf('}', i);
+        if (end < 0) throw new Error(`Unclosed placeholder at position ${i + 1}`);
+
+        if (text) tokens.push({ text });
+        text = '';
+
+        const [field, ...pipes] = template.slice(i + 1, end).split('|');
+        tokens.push({
+          field: field.trim(),
+          formatters: pipes.map(pipe => {
+            const colon = pipe.indexOf(':');
+            return colon < 0
+              ? { name: pipe.trim() }
+              : { name: pipe.slice(0, colon).trim(), arg: pipe.slice(colon + 1) };
+          })
+        });
+        i = end + 1;
+        continue;
+      }
+
+      text += ch;
+      i++;
+    }
+
+    if (text) tokens.push({ text });
+    return tokens;
+  }
+};
+
+// Export for both content script (window) and service worker (self) contexts
+if (typeof window !== 'undefined') window.TemplateString = TemplateString;
+if (typeof self   !== 'undefined') self.TemplateString   = TemplateString;
@@ -6,11 +6,18 @@
  */
 
 class UIController {
-  constructor(dataExtractor, pdfGenerator) {
-    this.dataExtractor   = dataExtractor;
-    this.pdfGenerator    = pdfGenerator;
-    this.activeModifiers = new Set();
-    this.configDialog    = null;
+  constructor(dataExtractor, pdfGenerator, commandGenerator) {
+    this.dataExtractor    = dataExtractor;
+    this.pdfGenerator     = pdfGenerator;
+    this.commandGenerator = commandGenerator;
+    this.activeModifiers  = new Set();
+    this.configDialog     = null;
+    this.fieldsDialog     = null;
+    this.batchToolbar     = null;
+    this.fontCache        = null; // { version, fonts } — imported fonts with data
+
+    // Product fields pages don't show; asked for at print time when a template uses them
+    this.promptFields = ['expiry', 'lot'];
 
     // Named handlers so we can remove them exactly on cleanup
     this._onKeyDown = (e) => {
@@ -33,9 +40,16 @@ class UIController {
     window.addEventListener('blur',      this._onBlur);
   }
 
+  /**
+   * Swap the extractor when SPA navigation lands on a different page type.
+   */
+  setDataExtractor(dataExtractor) {
+    this.dataExtractor = dataExtractor;
+  }
+
   // ─── Button Creation ───────────────────────────────────────────────────────
 
-  createSmartButton(rowElement) {
+  createSmartButton(rowElement, quantity = 1) {
     const container = document.createElement('div');
     container.className = 'smart-label-container';
 
@@ -48,21 +62,24 @@ class UIController {
     quantityInput.type      = 'number';
     quantityInput.min       = '1';
     quantityInput.max       = '1000';
-    quantityInput.value     = '1';
+    quantityInput.value     = String(Math.min(Math.max(parseInt(quantity) || 1, 1), 1000));
     quantityInput.className = 'quantity-input';
     quantityInput.title     = 'Number of labels';
+    // Untouched default quantities give way to a label rule's quantity
+    if (!quantity) quantityInput.dataset.defaultQuantity = 'true';
 
     quantityInput.addEventListener('click', (e) => e.stopPropagation());
     quantityInput.addEventListener('change', (e) => {
       const v = parseInt(e.target.value);
       if (v < 1)    e.target.value = '1';
       if (v > 1000) e.target.value = '1000';
+      delete quantityInput.dataset.defaultQuantity;
     });
 
     button.addEventListener('click', (e) => {
       e.preventDefault();
       e.stopPropagation();
-      this._handleButtonClick(rowElement, quantityInput.value);
+      this._handleButtonClick(rowElement, quantityInput);
     });
 
     container.appendChild(button);
@@ -70,10 +87,25 @@ class UIController {
     return container;
   }
 
+  /**
+   * Selection checkbox for the batch toolbar. The product row is found from the
+   * checkbox's .smart-label-row at print time, so nothing is tracked here.
+   */
+  createSelectCheckbox() {
+    const checkbox = document.createElement('input');
+    checkbox.type      = 'checkbox';
+    checkbox.className = 'smart-label-select';
+    checkbox.title     = 'Select for batch printing';
+
+    checkbox.addEventListener('click', (e) => e.stopPropagation());
+    checkbox.addEventListener('change', () => this.updateBatchToolbar());
+    return checkbox;
+  }
+
   // ─── Click Handler ────────────────────────────────────────────────────────
 
-  async _handleButtonClick(rowElement, quantity) {
-    const qty = parseInt(quantity) || 1;
+  async _handleButtonClick(rowElement, quantityInput) {
+    let qty = parseInt(quantityInput.value) || 1;
 
     try {
       this._setButtonLoading(rowElement, true);
@@ -84,29 +116,58 @@ class UIController {
       }
 
       // Extract product data from the row
-      const productData = this.dataExtractor.extractProductData(rowElement);
-      const validation  = this.dataExtractor.validateData(productData);
-      if (!validation.isValid) throw new Error(validation.errors.join(', '));
-
-      // Fetch fresh config from background — the single source of truth
-      const resp = await chrome.runtime.sendMessage({ action: 'getLabelConfig' });
+      const extracted = this.dataExtractor.extractProductData(rowElement);
+
+      // Fetch fresh config from background — the single source of truth.
+      // It also records the product and returns it merged with its catalog entry.
+      const resp = await chrome.runtime.sendMessage({
+        action: 'getLabelConfig',
+        productData: extracted,
+        fontsVersion: this.fontCache?.version
+      });
       if (!resp.success) throw new Error(resp.error || 'Failed to get label config');
 
-      const { settings, template } = resp.data;
-      const doc = await this.pdfGenerator.generateLabels(productData, qty, settings, template);
+      // Validated after the merge: the catalog may hold an FNSKU the page lacks
+      const validation = this.dataExtractor.validateData(resp.data.productData);
+      if (!validation.isValid) throw new Error(validation.errors.join(', '));
+
+      const { settings, template, rule } = resp.data;
+      const fonts = this._cacheFonts(resp.data);
+      const [productData] = await this._completeLabelFields([{ productData: resp.data.productData, template }]) || [];
+      if (!productData) return; // prompt cancelled
+
+      const format    = settings.globalSettings?.outputFormat || 'pdf';
+      const labelData = this._applyRule(productData, rule);
+      if (rule?.quantity && quantityInput.dataset.defaultQuantity) qty = rule.quantity;
+
+      if (format === 'pdf') {
+        const doc = await this.pdfGenerator.generateLabels(labelData, qty, settings, template, fonts);
+        if (this.activeModifiers.has('ctrl')) {
+          this.pdfGenerator.openPDFInNewTab(doc);
+        } else {
+          this.pdfGenerator.savePDF(doc, `${productData.sku}_label.pdf`);
+        }
+      } else {
+        // Native printer language job (e.g. ZPL) instead of a PDF
+        const job = await this.commandGenerator.generateLabels(labelData, qty, settings, template);
+        if (this.activeModifiers.has('ctrl')) {
+          this.commandGenerator.openInNewTab(job);
+        } else {
+          const extension = this.commandGenerator.getFileExtension(settings);
+          this.commandGenerator.saveFile(job, `${productData.sku}_label.${extension}`);
+        }
+      }
 
       if (this.activeModifiers.has('ctrl')) {
-        this.pdfGenerator.openPDFInNewTab(doc);
         this.showNotification('Label opened in new tab', 'success');
       } else {
-        this.pdfGenerator.savePDF(doc, `${productData.sku}_label.pdf`);
         this.showNotification(`Downloaded ${qty} label(s) for ${productData.sku}`, 'success');
       }
 
       // Fire-and-forget history write
       chrome.runtime.sendMessage({
         action: 'addToDownloadHistory',
-        data: { ...productData, quantity: qty }
+        data: { ...productData, quantity: qty, templateId: template.id }
       });
 
     } catch (error) {
@@ -117,6 +178,339 @@ class UIController {
     }
   }
 
+  // ─── Batch Printing ───────────────────────────────────────────────────────
+
+  /**
+   * Show the floating batch toolbar while label rows exist and keep its
+   * selected count current. Called after each injection scan and selection change.
+   */
+  updateBatchToolbar() {
+    const rows = document.querySelectorAll('.smart-label-row');
+    if (rows.length === 0) {
+      this.batchToolbar?.remove();
+      this.batchToolbar = null;
+      return;
+    }
+
+    if (!this.batchToolbar) {
+      this.batchToolbar = this._buildBatchToolbar();
+      document.body.appendChild(this.batchToolbar);
+    }
+
+    const selected = document.querySelectorAll('.smart-label-select:checked').length;
+    this.batchToolbar.querySelector('.batch-count').textContent = `${selected} selected`;
+    this.batchToolbar.querySelector('.batch-print-selected').disabled = selected === 0;
+    this.batchToolbar.querySelector('.batch-clear').disabled = selected === 0;
+  }
+
+  _buildBatchToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'fnsku-batch-toolbar';
+    toolbar.innerHTML = `
+      <span class="batch-count">0 selected</span>
+      <button class="batch-print-selected" type="button">🖨️ Print selected</button>
+      <button class="batch-print-visible"  type="button">Print all visible</button>
+      <button class="batch-clear"          type="button" title="Clear selection">✕</button>
+    `;
+
+    toolbar.querySelector('.batch-print-selected').addEventListener('click', () => {
+      this._handleBatchPrint(true);
+    });
+    toolbar.querySelector('.batch-print-visible').addEventListener('click', () => {
+      this._handleBatchPrint(false);
+    });
+    toolbar.querySelector('.batch-clear').addEventListener('click', () => {
+      document.querySelectorAll('.smart-label-select:checked').forEach(cb => { cb.checked = false; });
+      this.updateBatchToolbar();
+    });
+
+    return toolbar;
+  }
+
+  /**
+   * Product rows to batch, each with its row's quantity input.
+   * "Visible" skips rows hidden by Amazon's filters (no layout box).
+   */
+  _collectBatchRows(selectedOnly) {
+    return Array.from(document.querySelectorAll('.smart-label-row'))
+      .filter(labelRow => selectedOnly
+        ? labelRow.querySelector('.smart-label-select')?.checked
+        : labelRow.offsetParent !== null)
+      .map(labelRow => {
+        const input = labelRow.querySelector('.quantity-input');
+        return {
+          rowElement:      labelRow.previousElementSibling,
+          quantity:        parseInt(input?.value) || 1,
+          defaultQuantity: !!input?.dataset.defaultQuantity
+        };
+      })
+      .filter(({ rowElement }) => rowElement);
+  }
+
+  async _handleBatchPrint(selectedOnly) {
+    const rows = this._collectBatchRows(selectedOnly);
+    if (rows.length === 0) {
+      this.showNotification('No rows to print', 'warning');
+      return;
+    }
+
+    const buttons = this.batchToolbar?.querySelectorAll('button') || [];
+    buttons.forEach(b => { b.disabled = true; });
+
+    try {
+      // Extract every row first; rows that fail are skipped, not fatal
+      const extracted = [];
+      const skipped   = [];
+      for (const { rowElement, quantity, defaultQuantity } of rows) {
+        try {
+          extracted.push({ productData: this.dataExtractor.extractProductData(rowElement), quantity, defaultQuantity });
+        } catch (error) {
+          skipped.push(this.dataExtractor.getSku(rowElement) || '?');
+          console.warn('Batch: skipped row', error);
+        }
+      }
+
+      if (extracted.length === 0) throw new Error('No printable rows (SKU missing)');
+
+      const resp = await chrome.runtime.sendMessage({
+        action: 'getLabelConfig',
+        products: extracted.map(item => item.productData),
+        fontsVersion: this.fontCache?.version
+      });
+      if (!resp.success) throw new Error(resp.error || 'Failed to get label config');
+
+      // Products come back merged with their catalog entries, which may
+      // supply an FNSKU the page lacks — validate them only now
+      const { settings } = resp.data;
+      const fonts   = this._cacheFonts(resp.data);
+      const items   = [];
+      const matches = [];
+      extracted.forEach((item, i) => {
+        const validation = this.dataExtractor.validateData(resp.data.matches[i].productData);
+        if (validation.isValid) {
+          items.push(item);
+          matches.push(resp.data.matches[i]);
+        } else {
+          skipped.push(item.productData.sku);
+          console.warn('Batch: skipped row', validation.errors);
+        }
+      });
+
+      if (items.length === 0) throw new Error('No printable rows (FNSKU missing)');
+
+      const completed = await this._completeLabelFields(matches);
+      if (!completed) return; // prompt cancelled
+
+      // Label rules may give products different templates — one file per template
+      const groups = new Map();
+      items.forEach((item, i) => {
+        const { rule, template } = matches[i];
+        item.productData = completed[i];
+        item.templateId  = template.id;
+        if (rule?.quantity && item.defaultQuantity) item.quantity = rule.quantity;
+        if (!groups.has(template.id)) groups.set(template.id, { template, items: [] });
+        groups.get(template.id).items.push({ productData: this._applyRule(item.productData, rule), quantity: item.quantity });
+      });
+
+      const format = settings.globalSettings?.outputFormat || 'pdf';
+      const total  = items.reduce((sum, item) => sum + item.quantity, 0);
+
+      for (const group of groups.values()) {
+        const basename = groups.size > 1
+          ? `fnsku_labels_${group.items.length}_skus_${group.template.id}`
+          : `fnsku_labels_${group.items.length}_skus`;
+
+        if (format === 'pdf') {
+          const doc = await this.pdfGenerator.generateBatch(group.items, settings, group.template, fonts);
+          if (this.activeModifiers.has('ctrl')) {
+            this.pdfGenerator.openPDFInNewTab(doc);
+          } else {
+            this.pdfGenerator.savePDF(doc, `${basename}.pdf`);
+          }
+        } else {
+          const job = await this.commandGenerator.generateBatch(group.items, settings, group.template);
+          if (this.activeModifiers.has('ctrl')) {
+            this.commandGenerator.openInNewTab(job);
+          } else {
+            const extension = this.commandGenerator.getFileExtension(settings);
+            this.commandGenerator.saveFile(job, `${basename}.${extension}`);
+          }
+        }
+      }
+
+      for (const { productData, quantity, templateId } of items) {
+        chrome.runtime.sendMessage({
+          action: 'addToDownloadHistory',
+          data: { ...productData, quantity, templateId }
+        });
+      }
+
+      this.showNotification(`Generated ${total} label(s) for ${items.length} SKU(s)`, 'success');
+      if (skipped.length) {
+        this.showNotification(`Skipped ${skipped.length} row(s): ${skipped.join(', ')}`, 'warning');
+      }
+    } catch (error) {
+      console.error('Batch label generation error:', error);
+      this.showNotification(`Error: ${error.message}`, 'error');
+    } finally {
+      buttons.forEach(b => { b.disabled = false; });
+      this.updateBatchToolbar();
+    }
+  }
+
+  /**
+   * Keep the fonts a getLabelConfig response carries; a null `fonts` means
+   * the cached copy is still current.
+   * @returns {Array} Imported fonts with data
+   */
+  _cacheFonts({ fonts, fontsVersion }) {
+    if (fonts) this.fontCache = { version: fontsVersion, fonts };
+    return this.fontCache?.fonts || [];
+  }
+
+  /**
+   * Product data as a label rule prints it: the rule's text becomes the
+   * {ruleText} field. History keeps the product data without it.
+   */
+  _applyRule(productData, rule) {
+    return { ...productData, ruleText: rule?.text || '' };
+  }
+
+  // ─── Label Fields Prompt ──────────────────────────────────────────────────
+
+  /**
+   * Ask for expiry dates and lot numbers the chosen templates print but the
+   * products lack (neither the page nor the catalog knows them).
+   * @param {Object[]} items - { productData, template } per product
+   * @returns {Promise<Object[]|null>} Product data with the entered values,
+   *   or null when the user cancels
+   */
+  async _completeLabelFields(items) {
+    const missing = items.map(({ productData, template }) =>
+      ElementRegistry.templateFields(template)
+        .filter(field => this.promptFields.includes(field) && !String(productData[field] ?? '').trim())
+    );
+    if (missing.every(fields => fields.length === 0)) return items.map(item => item.productData);
+
+    const result = await this._promptLabelFields(items.map((item, i) => ({ productData: item.productData, fields: missing[i] })));
+    if (!result) return null;
+
+    if (result.saveToCatalog) {
+      // Fire-and-forget: the labels don't wait for the catalog
+      chrome.runtime.sendMessage({
+        action: 'recordProducts',
+        source: 'page',
+        products: items.map((item, i) => ({ sku: item.productData.sku, ...result.values[i] }))
+          .filter(product => product.expiry || product.lot)
+      });
+    }
+    return items.map((item, i) => ({ ...item.productData, ...result.values[i] }));
+  }
+
+  /**
+   * Dialog with one row per product that is missing fields. Expiry dates can
+   * be filled from the print date plus a number of days.
+   * @param {Object[]} rows - { productData, fields } per product; rows
+   *   without fields are not shown
+   * @returns {Promise<Object|null>} { values: [{ expiry?, lot? }], saveToCatalog }
+   */
+  _promptLabelFields(rows) {
+    this.fieldsDialog?.remove();
+
+    const needed    = this.promptFields.filter(field => rows.some(row => row.fields.includes(field)));
+    const labels    = { expiry: 'Expiry', lot: 'Lot' };
+    const dialog    = document.createElement('div');
+    dialog.className = 'fnsku-config-dialog fnsku-fields-dialog';
+    dialog.innerHTML = `
+      <div class="dialog-overlay"></div>
+      <div class="dialog-content">
+        <div class="dialog-header">
+          <h3>Label Details</h3>
+          <button class="close-btn" type="button">×</button>
+        </div>
+        <div class="dialog-body">
+          <p class="fields-hint">The template prints ${needed.map(f => labels[f].toLowerCase()).join(' and ')}, which these products don't have yet.</p>
+          ${needed.includes('expiry') ? `
+          <div class="input-group">
+            <label for="dlg-expiry-days">Print date +</label>
+            <input type="number" id="dlg-expiry-days" class="config-input" min="0" max="3650" placeholder="days">
+            <button type="button" class="save-btn apply-days-btn">Apply</button>
+          </div>` : ''}
+          <table class="fields-table">
+            <thead><tr><th>SKU</th>${needed.map(f => `<th>${labels[f]}</th>`).join('')}</tr></thead>
+            <tbody></tbody>
+          </table>
+          <label class="fields-save">
+            <input type="checkbox" class="config-checkbox" id="dlg-save-fields" checked>
+            Save to catalog for next time
+          </label>
+        </div>
+        <div class="dialog-footer">
+          <button class="save-btn cancel-btn" type="button">Cancel</button>
+          <button class="save-print-btn"      type="button">Print</button>
+        </div>
+      </div>
+    `;
+
+    const tbody  = dialog.querySelector('tbody');
+    const inputs = rows.map(({ productData, fields }) => {
+      const rowInputs = {};
+      if (fields.length === 0) return rowInputs;
+
+      const tr  = document.createElement('tr');
+      const sku = document.createElement('td');
+      sku.textContent = productData.sku;
+      tr.appendChild(sku);
+      for (const field of needed) {
+        const td = document.createElement('td');
+        if (fields.includes(field)) {
+          const input = document.createElement('input');
+          input.type      = field === 'expiry' ? 'date' : 'text';
+          input.className = 'config-input';
+          rowInputs[field] = input;
+          td.appendChild(input);
+        }
+        tr.appendChild(td);
+      }
+      tbody.appendChild(tr);
+      return rowInputs;
+    });
+
+    dialog.querySelector('.apply-days-btn')?.addEventListener('click', () => {
+      const days = parseInt(dialog.querySelector('#dlg-expiry-days').value);
+      if (isNaN(days)) return;
+      const date = new Date();
+      date.setDate(date.getDate() + days);
+      const iso  = TemplateString.isoDate(date);
+      inputs.forEach(row => { if (row.expiry && !row.expiry.value) row.expiry.value = iso; });
+    });
+
+    this.fieldsDialog = dialog;
+    document.body.appendChild(dialog);
+    dialog.querySelector('input')?.focus();
+
+    return new Promise((resolve) => {
+      const finish = (result) => {
+        dialog.remove();
+        if (this.fieldsDialog === dialog) this.fieldsDialog = null;
+        resolve(result);
+      };
+      const cancel = () => finish(null);
+
+      dialog.querySelector('.close-btn').addEventListener('click', cancel);
+      dialog.querySelector('.cancel-btn').addEventListener('click', cancel);
+      dialog.querySelector('.dialog-overlay').addEventListener('click', cancel);
+      dialog.addEventListener('keydown', (e) => { if (e.key === 'Escape') cancel(); });
+
+      dialog.querySelector('.save-print-btn').addEventListener('click', () => {
+        const values = inputs.map(row => Object.fromEntries(
+          Object.entries(row).map(([field, input]) => [field, input.value.trim()])
+        ));
+        finish({ values, saveToCatalog: dialog.querySelector('#dlg-save-fields').checked });
+      });
+    });
+  }
+
   // ─── Config Dialog (Shift+Click) ──────────────────────────────────────────
 
   async _openConfigDialog(rowElement) {
@@ -126,7 +520,8 @@ class UIController {
     }
 
     // Fetch fresh config for dialog population
-    const resp = await chrome.runtime.sendMessage({ action: 'getLabelConfig' });
+    const resp = await chrome.runtime.sendMessage({ action: 'getLabelConfig', fontsVersion: this.fontCache?.version });
+    if (resp.success) this._cacheFonts(resp.data);
     const { settings, template } = resp.success ? resp.data : { settings: {}, template: null };
 
     const templatesResp = await chrome.runtime.sendMessage({ action: 'getAllTemplates' });
@@ -205,11 +600,10 @@ class UIController {
     dialog.querySelector('.save-print-btn').addEventListener('click', async () => {
       await saveSettings();
       close();
-      if (rowElement) {
-        const qty = rowElement.closest('.smart-label-row')
-          ?.previousElementSibling
-          ?.querySelector('.quantity-input')?.value || '1';
-        setTimeout(() => this._handleButtonClick(rowElement, qty), 150);
+      // The row's label controls sit in the sibling smart-label-row
+      const quantityInput = rowElement?.nextElementSibling?.querySelector('.quantity-input');
+      if (quantityInput) {
+        setTimeout(() => this._handleButtonClick(rowElement, quantityInput), 150);
       }
     });
 
@@ -279,6 +673,10 @@ class UIController {
     document.removeEventListener('keyup',   this._onKeyUp);
     window.removeEventListener('blur',      this._onBlur);
     this.closeConfigurationDialog();
+    this.fieldsDialog?.remove();
+    this.fieldsDialog = null;
+    this.batchToolbar?.remove();
+    this.batchToolbar = null;
   }
 }
 
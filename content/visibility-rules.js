@@ -0,0 +1,92 @@
+/**
+ * Visibility Rules
+ * Conditional rendering for template elements. An element's optional
+ * `visibleWhen` array holds rules that must all pass for it to render:
+ *
+ *   visibleWhen: [
+ *     { field: 'condition', op: 'neq', value: 'New' },
+ *     { field: 'title', op: 'lengthGt', value: 40 }
+ *   ]
+ *
+ * Text comparisons ignore case and surrounding whitespace, so "new" matches
+ * the "New" Seller Central shows.
+ */
+
+const VisibilityRules = {
+
+  // Product data fields offered by the inspector's rule editor
+  fields: ['condition', 'sku', 'fnsku', 'asin', 'title', 'expiry', 'lot', 'ruleText'],
+
+  // Operators by id: label for the editor, whether a value is needed, and the test
+  operators: {
+    present:     { label: 'is present',       needsValue: false, test: (v)    => v !== '' },
+    absent:      { label: 'is empty',         needsValue: false, test: (v)    => v === '' },
+    eq:          { label: '=',                needsValue: true,  test: (v, x) => v.toLowerCase() === x.toLowerCase() },
+    neq:         { label: '≠',                needsValue: true,  test: (v, x) => v.toLowerCase() !== x.toLowerCase() },
+    contains:    { label: 'contains',         needsValue: true,  test: (v, x) => v.toLowerCase().includes(x.toLowerCase()) },
+    notContains: { label: 'does not contain', needsValue: true,  test: (v, x) => !v.toLowerCase().includes(x.toLowerCase()) },
+    lengthGt:    { label: 'length >',         needsValue: true,  numeric: true, test: (v, x) => v.length > Number(x) },
+    lengthLt:    { label: 'length <',         needsValue: true,  numeric: true, test: (v, x) => v.length < Number(x) }
+  },
+
+  /**
+   * True when the element has no rules or every rule passes for this product.
+   * Rules with an unknown operator are ignored rather than hiding the element.
+   */
+  isVisible(element, data = {}) {
+    const rules = element.visibleWhen;
+    if (!Array.isArray(rules) || rules.length === 0) return true;
+    return rules.every(rule => VisibilityRules.test(rule, data));
+  },
+
+  test(rule, data = {}) {
+    const operator = VisibilityRules.operators[rule.op];
+    if (!operator) return true;
+
+    const value = String(data[rule.field] ?? '').trim();
+    return operator.test(value, String(rule.value ?? '').trim());
+  },
+
+  /**
+   * Short human-readable form, e.g. "condition ≠ New".
+   */
+  describe(rule) {
+    const operator = VisibilityRules.operators[rule.op];
+    if (!operator) return `${rule.field} ${rule.op}`;
+    return operator.needsValue
+      ? `${rule.field} ${operator.label} ${rule.value ?? ''}`
+      : `${rule.field} ${operator.label}`;
+  },
+
+  /**
+   * Structural problems in a visibleWhen value.
+   * @returns {string[]} Error messages (empty when valid)
+   */
+  validate(rules) {
+    if (rules === undefined) return [];
+    if (!Array.isArray(rules)) return ['visibleWhen must be an array of rules'];
+
+    const errors = [];
+    rules.forEach((rule, i) => {
+      if (!rule || typeof rule.field !== 'string' || !rule.field) {
+        errors.push(`visibleWhen[${i}] needs a field`);
+        return;
+      }
+
+      const operator = VisibilityRules.operators[rule.op];
+      if (!operator) {
+        errors.push(`visibleWhen[${i}] op must be one of: ${Object.keys(VisibilityRules.operators).join(', ')}`);
+        return;
+      }
+
+      if (operator.numeric && (rule.value === '' || !(Number(rule.value) >= 0))) {
+        errors.push(`visibleWhen[${i}] (${rule.op}) value must be a non-negative number`);
+      }
+    });
+    return errors;
+  }
+};
+
+// Export for both content script (window) and service worker (self) contexts
+if (typeof window !== 'undefined') window.VisibilityRules = VisibilityRules;
+if (typeof self   !== 'undefined') self.VisibilityRules   = VisibilityRules;
@@ -0,0 +1,564 @@
+/**
+ * Label Designer
+ * Interactive canvas for the Settings tab: draws the selected template to
+ * scale and lets elements be moved by dragging, resized by their handles and
+ * nudged with the arrow keys, snapping to a grid and to other elements.
+ *
+ * Holds no template state of its own — it reads the template through
+ * `getTemplate()` on every render, mutates element x/y/size in place and
+ * reports through callbacks, so the popup stays the single owner and keeps
+ * the inspector in sync.
+ */
+
+const DESIGNER_PADDING     = 8;   // px around the label
+const DESIGNER_MAX_HEIGHT  = 240; // px — tall labels scale down to fit the popup
+const DESIGNER_HANDLE_SIZE = 6;   // px
+const DESIGNER_SNAP_PX     = 5;   // px — element snapping distance at any zoom
+
+class LabelDesigner {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {Object} options
+   * @param {Function} options.getTemplate    - () → template being edited
+   * @param {Function} options.getSampleData  - () → productData for previews
+   * @param {Function} options.onSelect       - (elementId) when an element is clicked
+   * @param {Function} options.onBeforeChange - (element, 'drag'|'nudge') before an edit starts
+   * @param {Function} options.onChange       - (element) on every drag step
+   * @param {Function} options.onCommit       - (element) when a drag or nudge ends
+   */
+  constructor(canvas, { getTemplate, getSampleData, onSelect, onBeforeChange, onChange, onCommit }) {
+    this.canvas         = canvas;
+    this.getTemplate    = getTemplate;
+    this.getSampleData  = getSampleData;
+    this.onSelect       = onSelect;
+    this.onBeforeChange = onBeforeChange;
+    this.onChange       = onChange;
+    this.onCommit       = onCommit;
+
+    this.selectedId = null;
+    this.snap       = { grid: 1, toGrid: true, toElements: true };
+
+    this._drag   = null; // { element, handle, start, original }
+    this._guides = [];   // snap guide lines: [{ axis: 'x'|'y', at }]
+    this._view   = { scale: 1, left: 0, top: 0 };
+
+    canvas.addEventListener('mousedown', (e) => this._onMouseDown(e));
+    canvas.addEventListener('keydown',   (e) => this._onKeyDown(e));
+    window.addEventListener('mousemove', (e) => this._onMouseMove(e));
+    window.addEventListener('mouseup',   ()  => this._onMouseUp());
+  }
+
+  // ─── Public ────────────────────────────────────────────────────────────────
+
+  select(elementId) {
+    this.selectedId = elementId;
+    this.render();
+  }
+
+  setSnap(snap) {
+    this.snap = { ...this.snap, ...snap };
+    this.render();
+  }
+
+  /**
+   * Redraw the template. Skipped while the canvas is hidden (inactive tab);
+   * the popup re-renders when the Settings tab is shown.
+   */
+  render() {
+    const template  = this.getTemplate();
+    const available = this.canvas.parentElement?.clientWidth || 0;
+    if (!template || !available) return;
+
+    const pad   = DESIGNER_PADDING;
+    const scale = Math.min(
+      (available - pad * 2) / template.width,
+      (DESIGNER_MAX_HEIGHT - pad * 2) / template.height
+    );
+    const cssWidth  = available;
+    const cssHeight = Math.ceil(template.height * scale + pad * 2);
+
+    this._view = {
+      scale,
+      left: (cssWidth - template.width * scale) / 2,
+      top:  pad
+    };
+
+    const dpr = window.devicePixelRatio || 1;
+    this.canvas.style.width  = `${cssWidth}px`;
+    this.canvas.style.height = `${cssHeight}px`;
+    this.canvas.width  = Math.round(cssWidth * dpr);
+    this.canvas.height = Math.round(cssHeight * dpr);
+
+    const ctx = this.canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, cssWidth, cssHeight);
+
+    // Label area in mm units from here on
+    ctx.save();
+    ctx.translate(this._view.left, this._view.top);
+    ctx.scale(scale, scale);
+
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, template.width, template.height);
+    if (this.snap.toGrid) this._drawGrid(ctx, template);
+
+    const data = this.getSampleData();
+    for (const element of template.elements) {
+      this._drawElement(ctx, element, data);
+    }
+
+    ctx.restore();
+
+    // Chrome in screen pixels so it stays crisp at any scale
+    ctx.strokeStyle = '#adb5bd';
+    ctx.lineWidth   = 1;
+    ctx.strokeRect(
+      Math.round(this._view.left) + 0.5, Math.round(this._view.top) + 0.5,
+      Math.round(template.width * scale), Math.round(template.height * scale)
+    );
+    this._drawGuides(ctx, template);
+    this._drawSelection(ctx, template, data);
+  }
+
+  // ─── Drawing ───────────────────────────────────────────────────────────────
+
+  _drawGrid(ctx, template) {
+    const step = this.snap.grid;
+    if (!(step > 0) || step * this._view.scale < 4) return; // too dense to be useful
+
+    ctx.fillStyle = '#dee2e6';
+    const dot = 0.6 / this._view.scale;
+    for (let x = step; x < template.width; x += step) {
+      for (let y = step; y < template.height; y += step) {
+        ctx.fillRect(x - dot / 2, y - dot / 2, dot, dot);
+      }
+    }
+  }
+
+  /**
+   * Draw one element through its registry sketch, turned about its anchor.
+   * Disabled elements, and those hidden by visibility rules for the sample
+   * product, are drawn faded so they can still be found and moved.
+   */
+  _drawElement(ctx, element, data) {
+    const typeDef = ElementRegistry[element.type];
+    if (!typeDef) return;
+
+    const visible = element.enabled !== false && VisibilityRules.isVisible(element, data);
+
+    ctx.save();
+    ctx.globalAlpha = visible ? 1 : 0.3;
+    this._rotateAboutAnchor(ctx, element);
+
+    try {
+      if (typeDef.sketch) {
+        typeDef.sketch(ctx, element, data);
+      } else {
+        const box = ElementRegistry.getLocalBounds(element, data);
+        ctx.strokeStyle = '#adb5bd';
+        ctx.lineWidth   = 0.2;
+        ctx.strokeRect(box.x, box.y, box.width, box.height);
+      }
+    } catch (error) {
+      console.warn(`Failed to sketch element ${element.id} (${element.type}):`, error);
+    }
+
+    ctx.restore();
+  }
+
+  _drawSelection(ctx, template, data) {
+    const element = this._selectedElement(template);
+    if (!element) return;
+
+    const bounds = this._bounds(element, data);
+    if (!bounds) return;
+
+    const box = this._toScreenBox(bounds);
+    ctx.save();
+    ctx.strokeStyle = '#007bff';
+    ctx.lineWidth   = 1;
+    ctx.setLineDash([3, 2]);
+    ctx.strokeRect(box.x - 1.5, box.y - 1.5, box.width + 3, box.height + 3);
+    ctx.setLineDash([]);
+
+    const size = DESIGNER_HANDLE_SIZE;
+    ctx.fillStyle = '#fff';
+    for (const handle of this._handles(element, data)) {
+      const at = this._toScreen(handle.x, handle.y);
+      ctx.fillRect(at.x - size / 2, at.y - size / 2, size, size);
+      ctx.strokeRect(at.x - size / 2 + 0.5, at.y - size / 2 + 0.5, size - 1, size - 1);
+    }
+    ctx.restore();
+  }
+
+  _drawGuides(ctx, template) {
+    if (this._guides.length === 0) return;
+
+    ctx.save();
+    ctx.strokeStyle = '#e83e8c';
+    ctx.lineWidth   = 1;
+    ctx.beginPath();
+    for (const guide of this._guides) {
+      if (guide.axis === 'x') {
+        const x = Math.round(this._toScreen(guide.at, 0).x) + 0.5;
+        ctx.moveTo(x, this._view.top);
+        ctx.lineTo(x, this._view.top + template.height * this._view.scale);
+      } else {
+        const y = Math.round(this._toScreen(0, guide.at).y) + 0.5;
+        ctx.moveTo(this._view.left, y);
+        ctx.lineTo(this._view.left + template.width * this._view.scale, y);
+      }
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  _rotateAboutAnchor(ctx, element) {
+    const rotation = ElementRegistry._rotation(element);
+    if (!rotation) return;
+    ctx.translate(element.x, element.y);
+    ctx.rotate(rotation * Math.PI / 180);
+    ctx.translate(-element.x, -element.y);
+  }
+
+  // ─── Handles ───────────────────────────────────────────────────────────────
+
+  /**
+   * Resize handles for the element's registry `resize` kind, in label mm.
+   * Handles are offered on unrotated elements only; rotated ones move as a
+   * whole and are sized from the inspector.
+   */
+  _handles(element, data) {
+    const kind = ElementRegistry[element.type]?.resize;
+    if (!kind || ElementRegistry._rotation(element)) return [];
+
+    if (kind === 'line') {
+      return [
+        { id: 'start', x: element.x, y: element.y },
+        { id: 'end',   x: element.x + (element.width || 0), y: element.y + (element.height || 0) }
+      ];
+    }
+
+    const box = this._bounds(element, data, true);
+    if (!box) return [];
+    if (kind === 'boxWidth') {
+      // The edge away from the alignment anchor sets the wrap width
+      const edge = element.align === 'right' ? box.x : box.x + box.width;
+      return [{ id: 'boxWidth', x: edge, y: box.y + box.height / 2 }];
+    }
+
+    return [
+      { id: 'nw', x: box.x,             y: box.y },
+      { id: 'ne', x: box.x + box.width, y: box.y },
+      { id: 'sw', x: box.x,             y: box.y + box.height },
+      { id: 'se', x: box.x + box.width, y: box.y + box.height }
+    ];
+  }
+
+  /**
+   * Apply a handle drag to the element, from its state when the drag began.
+   * The corner opposite the handle stays put.
+   */
+  _resize(element, original, handle, point) {
+    const kind = ElementRegistry[element.type].resize;
+
+    if (kind === 'line') {
+      const endX = original.x + (original.width || 0);
+      const endY = original.y + (original.height || 0);
+      if (handle === 'start') {
+        Object.assign(element, { x: point.x, y: point.y, width: endX - point.x, height: endY - point.y });
+      } else {
+        Object.assign(element, { width: point.x - original.x, height: point.y - original.y });
+      }
+      return;
+    }
+
+    if (kind === 'boxWidth') {
+      const span = {
+        left:   point.x - original.x,
+        center: (point.x - original.x) * 2,
+        right:  original.x - point.x
+      }[original.align || 'left'];
+      element.boxWidth = this._round(Math.max(2, span));
+      return;
+    }
+
+    const left   = handle.includes('w') ? point.x : original.x;
+    const right  = handle.includes('w') ? original.x + this._width(original) : point.x;
+    const top    = handle.includes('n') ? point.y : original.y;
+    const bottom = handle.includes('n') ? original.y + this._height(original) : point.y;
+
+    if (kind === 'square') {
+      const size = this._round(Math.max(1, right - left, bottom - top));
+      element.size = size;
+      element.x = handle.includes('w') ? original.x + original.size - size : original.x;
+      element.y = handle.includes('n') ? original.y + original.size - size : original.y;
+      return;
+    }
+
+    element.width  = this._round(Math.max(0.5, right - left));
+    element.height = this._round(Math.max(0.5, bottom - top));
+    element.x = handle.includes('w') ? right - element.width : original.x;
+    element.y = handle.includes('n') ? bottom - element.height : original.y;
+  }
+
+  _width(element)  { return element.size ?? element.width ?? 0; }
+  _height(element) { return element.size ?? element.height ?? 0; }
+
+  // ─── Mouse & Keyboard ──────────────────────────────────────────────────────
+
+  _onMouseDown(e) {
+    const template = this.getTemplate();
+    if (!template) return;
+
+    this.canvas.focus();
+    const data  = this.getSampleData();
+    const point = this._toLabel(e.offsetX, e.offsetY);
+
+    // Handles of the selected element win over element bodies
+    const selected = this._selectedElement(template);
+    if (selected) {
+      const handle = this._handleAt(selected, data, e.offsetX, e.offsetY);
+      if (handle) {
+        this._beginDrag(selected, handle.id, point);
+        e.preventDefault();
+        return;
+      }
+    }
+
+    // Clicking empty label space keeps the selection, like the inspector
+    const hit = this._elementAt(template, data, point);
+    if (!hit) return;
+
+    if (hit.id !== this.selectedId) {
+      this.selectedId = hit.id;
+      this.onSelect?.(hit.id);
+    }
+    this._beginDrag(hit, 'move', point);
+    e.preventDefault();
+    this.render();
+  }
+
+  _onMouseMove(e) {
+    if (!this._drag) return;
+
+    const rect  = this.canvas.getBoundingClientRect();
+    const point = this._toLabel(e.clientX - rect.left, e.clientY - rect.top);
+    const { element, original, handle, start } = this._drag;
+    const template = this.getTemplate();
+    const data     = this.getSampleData();
+
+    if (!this._drag.moved) this.onBeforeChange?.(element, 'drag');
+
+    this._guides = [];
+    if (handle === 'move') {
+      element.x = original.x + point.x - start.x;
+      element.y = original.y + point.y - start.y;
+      this._snapMove(element, template, data);
+    } else {
+      this._resize(element, original, handle, this._snapPoint(point, element, template, data));
+    }
+
+    this._drag.moved = true;
+    this.onChange?.(element);
+    this.render();
+  }
+
+  _onMouseUp() {
+    if (!this._drag) return;
+
+    const { element, moved } = this._drag;
+    this._drag   = null;
+    this._guides = [];
+    this.render();
+    if (moved) this.onCommit?.(element);
+  }
+
+  /**
+   * Arrow keys nudge the selected element by one grid step (Shift: 5 steps).
+   */
+  _onKeyDown(e) {
+    const delta = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[e.key];
+    const element = this._selectedElement(this.getTemplate());
+    if (!delta || !element) return;
+
+    e.preventDefault();
+    this.onBeforeChange?.(element, 'nudge');
+    const step = (this.snap.grid > 0 ? this.snap.grid : 0.5) * (e.shiftKey ? 5 : 1);
+    element.x = this._round(Math.max(0, element.x + delta[0] * step));
+    element.y = this._round(Math.max(0, element.y + delta[1] * step));
+
+    this.onChange?.(element);
+    this.onCommit?.(element);
+    this.render();
+  }
+
+  _beginDrag(element, handle, point) {
+    this._drag = { element, handle, start: point, original: { ...element }, moved: false };
+  }
+
+  // ─── Hit Testing ───────────────────────────────────────────────────────────
+
+  /**
+   * Topmost element under a label point. Elements are drawn in array order,
+   * so search from the end.
+   */
+  _elementAt(template, data, point) {
+    const slop = 3 / this._view.scale; // thin lines and zero-width text stay clickable
+    for (let i = template.elements.length - 1; i >= 0; i--) {
+      const element = template.elements[i];
+      if (!ElementRegistry[element.type]) continue;
+
+      const box = this._bounds(element, data);
+      if (box && point.x >= box.x - slop && point.x <= box.x + box.width  + slop &&
+          point.y >= box.y - slop && point.y <= box.y + box.height + slop) {
+        return element;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * An element's bounds, or null when they can't be measured — e.g. template
+   * text with a half-typed {placeholder}. Validation reports those.
+   * @param {boolean} [local] - Unrotated bounds (getLocalBounds)
+   */
+  _bounds(element, data, local = false) {
+    try {
+      return local ? ElementRegistry.getLocalBounds(element, data) : ElementRegistry.getBounds(element, data);
+    } catch (error) {
+      console.warn(`Failed to measure element ${element.id} (${element.type}):`, error);
+      return null;
+    }
+  }
+
+  _handleAt(element, data, px, py) {
+    const reach = DESIGNER_HANDLE_SIZE;
+    return this._handles(element, data).find(handle => {
+      const at = this._toScreen(handle.x, handle.y);
+      return Math.abs(at.x - px) <= reach && Math.abs(at.y - py) <= reach;
+    });
+  }
+
+  _selectedElement(template) {
+    return template?.elements.find(e => e.id === this.selectedId) || null;
+  }
+
+  // ─── Snapping ──────────────────────────────────────────────────────────────
+
+  /**
+   * Snap a moving element: its edges and centre lines to the label's and
+   * other elements' within a few screen pixels, otherwise its anchor to the grid.
+   */
+  _snapMove(element, template, data) {
+    const box     = this._bounds(element, data);
+    const targets = this.snap.toElements && box ? this._snapTargets(element, template, data) : { x: [], y: [] };
+
+    const snapX = box && this._nearest([box.x, box.x + box.width / 2, box.x + box.width], targets.x);
+    const snapY = box && this._nearest([box.y, box.y + box.height / 2, box.y + box.height], targets.y);
+
+    if (snapX) {
+      element.x += snapX.offset;
+      this._guides.push({ axis: 'x', at: snapX.at });
+    } else if (this.snap.toGrid) {
+      element.x = this._toGrid(element.x);
+    }
+
+    if (snapY) {
+      element.y += snapY.offset;
+      this._guides.push({ axis: 'y', at: snapY.at });
+    } else if (this.snap.toGrid) {
+      element.y = this._toGrid(element.y);
+    }
+
+    element.x = this._round(element.x);
+    element.y = this._round(element.y);
+  }
+
+  /**
+   * Snap a handle position the same way as a move.
+   */
+  _snapPoint(point, element, template, data) {
+    const targets = this.snap.toElements ? this._snapTargets(element, template, data) : { x: [], y: [] };
+    const snapX   = this._nearest([point.x], targets.x);
+    const snapY   = this._nearest([point.y], targets.y);
+
+    if (snapX) this._guides.push({ axis: 'x', at: snapX.at });
+    if (snapY) this._guides.push({ axis: 'y', at: snapY.at });
+
+    const grid = (value) => this.snap.toGrid ? this._toGrid(value) : value;
+    return {
+      x: this._round(snapX ? snapX.at : grid(point.x)),
+      y: this._round(snapY ? snapY.at : grid(point.y))
+    };
+  }
+
+  /**
+   * Lines worth snapping to: label edges and centre, and every other
+   * element's edges and centre.
+   */
+  _snapTargets(element, template, data) {
+    const x = [0, template.width / 2, template.width];
+    const y = [0, template.height / 2, template.height];
+
+    for (const other of template.elements) {
+      if (other === element || !ElementRegistry[other.type]) continue;
+      const box = this._bounds(other, data);
+      if (!box) continue;
+      x.push(box.x, box.x + box.width / 2, box.x + box.width);
+      y.push(box.y, box.y + box.height / 2, box.y + box.height);
+    }
+    return { x, y };
+  }
+
+  /**
+   * Closest pairing of one of `lines` to one of `targets` within snapping distance.
+   * @returns {{offset: number, at: number}|null}
+   */
+  _nearest(lines, targets) {
+    const reach = DESIGNER_SNAP_PX / this._view.scale;
+    let best = null;
+    for (const line of lines) {
+      for (const target of targets) {
+        const offset = target - line;
+        if (Math.abs(offset) <= reach && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+          best = { offset, at: target };
+        }
+      }
+    }
+    return best;
+  }
+
+  _toGrid(value) {
+    const step = this.snap.grid;
+    return step > 0 ? Math.round(value / step) * step : value;
+  }
+
+  // Templates are authored to 0.01 mm — avoid float noise in saved values
+  _round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  // ─── Coordinates ───────────────────────────────────────────────────────────
+
+  _toLabel(px, py) {
+    return {
+      x: (px - this._view.left) / this._view.scale,
+      y: (py - this._view.top)  / this._view.scale
+    };
+  }
+
+  _toScreen(x, y) {
+    return {
+      x: this._view.left + x * this._view.scale,
+      y: this._view.top  + y * this._view.scale
+    };
+  }
+
+  _toScreenBox(box) {
+    const at = this._toScreen(box.x, box.y);
+    return { x: at.x, y: at.y, width: box.width * this._view.scale, height: box.height * this._view.scale };
+  }
+}
+
+window.LabelDesigner = LabelDesigner;
@@ -4,22 +4,62 @@
  * No SettingsManager or TemplateManager instances. Preview renders from form values directly.
  */
 
+// Undo steps kept per template
+const HISTORY_LIMIT = 50;
+
+// Edits to the same control within this window undo as one step (typing)
+const HISTORY_COALESCE_MS = 1000;
+
 class PopupController {
   constructor() {
     // Local copies of authoritative state — populated from background, never written locally
     this.currentSettings  = {};
     this.currentTemplates = [];
     this.downloadHistory  = [];
+    this.fonts            = []; // imported fonts with data, for preview and manual output
     this.currentTab       = 'downloads';
 
+    // Seller Central hostname whose profile the Settings tab edits (null = defaults)
+    this.marketplace  = null;
+    this.marketplaces = [];
+
+    // Label rule open in the rule editor (null = adding a new one)
+    this.editingRuleId = null;
+
     // Selected element id in the inspector
     this.inspectorElementId = null;
 
+    // Last validation of the selected template, for inline inspector warnings
+    this.validation = null;
+
+    // Parsed backup file awaiting confirmation in the restore panel
+    this.pendingBackup = null;
+
+    // Saved revisions of the selected custom template, newest first
+    this.revisions = [];
+
+    // Template edit history by template id: { undo: [], redo: [], lastKey, lastAt }
+    this.history = new Map();
+
+    // Parsed bulk-import rows: [{ data, errors }]
+    this.bulkRows = [];
+
+    // Catalog search results and the SKU open in the catalog editor
+    this.catalog    = { products: [], total: 0, suggestedFields: [] };
+    this.catalogSku = null;
+
+    // Manual Entry autocomplete: the input it is open under, its items and the highlighted one
+    this.suggestions = { input: null, items: [], active: -1 };
+
     // Debounce handles
-    this._saveTimeout    = null;
-    this._previewTimeout = null;
+    this._saveTimeout          = null;
+    this._previewTimeout       = null;
+    this._catalogSearchTimeout = null;
+    this._suggestTimeout       = null;
 
-    this.pdfGenerator = new PDFLabelGenerator();
+    this.pdfGenerator     = new PDFLabelGenerator();
+    this.commandGenerator = new PrinterCommandGenerator();
+    this.designer         = this._createDesigner();
 
     this.init();
   }
@@ -28,11 +68,14 @@ class PopupController {
 
   async init() {
     try {
+      await this._loadMarketplaces();
       await this._loadStateFromBackground();
+      this._populateOutputFormats();
       this._setupTabSwitching();
       this._setupEventListeners();
       this._restoreLastTab();
       await this._loadDownloadHistory();
+      await this._loadFonts();
       this._schedulePreview();
 
       // Listen for background pushes (settings changed from content tab)
@@ -54,7 +97,7 @@ class PopupController {
 
   async _loadStateFromBackground() {
     const [settingsResp, templatesResp] = await Promise.all([
-      chrome.runtime.sendMessage({ action: 'getSettings' }),
+      chrome.runtime.sendMessage({ action: 'getSettings', marketplace: this.marketplace }),
       chrome.runtime.sendMessage({ action: 'getAllTemplates' })
     ]);
 
@@ -64,12 +107,72 @@ class PopupController {
 
   async _saveToBackground(settings) {
     try {
-      await chrome.runtime.sendMessage({ action: 'saveSettings', settings });
+      await chrome.runtime.sendMessage({ action: 'saveSettings', settings, marketplace: this.marketplace });
+      if (this.marketplace) await this._loadMarketplaces();
     } catch (error) {
       console.error('Failed to save settings:', error);
     }
   }
 
+  // ─── Marketplace Profiles ──────────────────────────────────────────────────
+
+  /**
+   * Fill the marketplace selector. On first load it starts on the active
+   * tab's marketplace when that has a profile, so the popup shows what the
+   * page will actually print with.
+   */
+  async _loadMarketplaces() {
+    const resp = await chrome.runtime.sendMessage({ action: 'getMarketplaces' });
+    if (!resp.success) return;
+
+    const firstLoad = this.marketplaces.length === 0;
+    this.marketplaces = resp.data;
+
+    if (firstLoad) {
+      try {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const host  = tab?.url ? new URL(tab.url).hostname : null;
+        if (this.marketplaces.some(m => m.host === host && m.hasProfile)) this.marketplace = host;
+      } catch { /* no active tab */ }
+    }
+
+    const select = document.getElementById('marketplace-select');
+    if (!select) return;
+
+    select.innerHTML = '<option value="">All marketplaces (default)</option>';
+    this.marketplaces.forEach(({ host, hasProfile }) => {
+      const option       = document.createElement('option');
+      option.value       = host;
+      option.textContent = hasProfile ? `${host} ●` : host;
+      select.appendChild(option);
+    });
+    select.value = this.marketplace || '';
+    this._updateMarketplaceHint();
+  }
+
+  async _switchMarketplace(host) {
+    clearTimeout(this._saveTimeout);
+    this.marketplace = host || null;
+    await this._loadStateFromBackground();
+    this._updateMarketplaceHint();
+    this._populateSettingsPanel();
+    this._schedulePreview();
+  }
+
+  _updateMarketplaceHint() {
+    const hint = document.getElementById('marketplace-hint');
+    if (!hint) return;
+
+    const entry = this.marketplaces.find(m => m.host === this.marketplace);
+    if (!entry) {
+      hint.textContent = 'Used on every marketplace without its own profile.';
+    } else if (entry.hasProfile) {
+      hint.textContent = 'This marketplace has its own profile. Reset removes it.';
+    } else {
+      hint.textContent = 'Using the defaults. Changing anything here creates a profile for this marketplace.';
+    }
+  }
+
   // ─── Tab Switching ─────────────────────────────────────────────────────────
 
   _setupTabSwitching() {
@@ -88,6 +191,8 @@ class PopupController {
           this._schedulePreview();
         } else if (tab === 'manual') {
           this._populateManualTemplateSelector();
+        } else if (tab === 'catalog') {
+          this._searchCatalog();
         }
       });
     });
@@ -107,6 +212,8 @@ class PopupController {
       this._schedulePreview();
     } else if (last === 'manual') {
       this._populateManualTemplateSelector();
+    } else if (last === 'catalog') {
+      this._searchCatalog();
     }
   }
 
@@ -135,6 +242,13 @@ class PopupController {
     });
     document.getElementById('load-sample')?.addEventListener('click', () => this._loadSampleData());
     document.getElementById('clear-form')?.addEventListener('click',  () => this._clearManualForm());
+    this._setupManualAutocomplete();
+
+    // Manual entry tab — bulk import
+    document.getElementById('bulk-input')?.addEventListener('input', () => this._parseBulkInput());
+    document.getElementById('bulk-file')?.addEventListener('change', (e) => this._loadBulkFile(e.target));
+    document.getElementById('bulk-clear')?.addEventListener('click', () => this._clearBulkImport());
+    document.getElementById('bulk-generate')?.addEventListener('click', () => this._generateBulkLabels());
 
     // Settings tab — template selector
     document.getElementById('template-dropdown-btn')?.addEventListener('click', (e) => {
@@ -149,6 +263,8 @@ class PopupController {
     document.getElementById('create-template-btn')?.addEventListener('click', () => {
       this._createNewTemplate();
     });
+    document.getElementById('export-template-btn')?.addEventListener('click', () => this._exportTemplate());
+    document.getElementById('import-template-file')?.addEventListener('change', (e) => this._importTemplate(e.target));
 
     // Settings tab — global settings form (any change triggers debounced save + preview)
     const settingsForm = document.getElementById('settings-form');
@@ -163,9 +279,56 @@ class PopupController {
       this._renderInspector();
     });
 
+    // Designer snapping options
+    document.getElementById('designer-snap-grid')?.addEventListener('change', (e) => {
+      this.designer?.setSnap({ toGrid: e.target.checked });
+    });
+    document.getElementById('designer-grid-size')?.addEventListener('change', (e) => {
+      this.designer?.setSnap({ grid: parseFloat(e.target.value) });
+    });
+    document.getElementById('designer-snap-elements')?.addEventListener('change', (e) => {
+      this.designer?.setSnap({ toElements: e.target.checked });
+    });
+
     // Add/remove element buttons
     document.getElementById('add-element-btn')?.addEventListener('click', () => this._addElement());
 
+    // Undo / redo
+    document.getElementById('undo-btn')?.addEventListener('click', () => this._undo());
+    document.getElementById('redo-btn')?.addEventListener('click', () => this._redo());
+    document.addEventListener('keydown', (e) => this._onHistoryKey(e));
+
+    // Catalog tab
+    document.getElementById('catalog-search')?.addEventListener('input', () => {
+      clearTimeout(this._catalogSearchTimeout);
+      this._catalogSearchTimeout = setTimeout(() => this._searchCatalog(), 200);
+    });
+    document.getElementById('catalog-add-field')?.addEventListener('click', () => this._addCatalogFieldRow('', ''));
+    document.getElementById('catalog-delete')?.addEventListener('click', () => this._deleteCatalogProduct());
+    document.getElementById('catalog-cancel')?.addEventListener('click', () => this._closeCatalogEditor());
+    document.getElementById('catalog-editor')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this._saveCatalogProduct();
+    });
+
+    // Settings tab — label rules
+    document.getElementById('add-rule-btn')?.addEventListener('click', () => this._openRuleEditor(null));
+    document.getElementById('rule-cancel-btn')?.addEventListener('click', () => this._closeRuleEditor());
+    document.getElementById('rule-editor')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this._saveRuleFromEditor();
+    });
+
+    // Settings tab — fonts
+    document.getElementById('font-file')?.addEventListener('change', (e) => this._importFont(e.target));
+
+    // Settings tab — backup
+    document.getElementById('backup-btn')?.addEventListener('click', () => this._createBackup());
+    document.getElementById('restore-file')?.addEventListener('change', (e) => this._openBackup(e.target));
+
+    // Settings tab — marketplace profile
+    document.getElementById('marketplace-select')?.addEventListener('change', (e) => this._switchMarketplace(e.target.value));
+
     // Reset button
     document.getElementById('reset-settings')?.addEventListener('click', () => this._resetSettings());
   }
@@ -184,6 +347,15 @@ class PopupController {
     // Global settings
     this._setVal('default-barcode',       globalSettings.barcodeFormat  || 'CODE128');
     this._setVal('pdf-dpi',               globalSettings.pdfDPI         || 300);
+    this._setVal('output-format',         globalSettings.outputFormat   || 'pdf');
+    this._setVal('printer-dpi',           globalSettings.printerDPI     || 203);
+    this._setVal('date-format',           globalSettings.dateFormat     || '');
+    const dateDefault = document.getElementById('date-format-default');
+    if (dateDefault) {
+      const format = this.currentSettings.marketplaceDateFormat;
+      dateDefault.textContent = format ? `Marketplace default (${format})` : 'Marketplace default';
+    }
+    this._toggleOutputFormatRows();
     this._setChecked('auto-extract',      globalSettings.autoExtract    !== false);
     this._setChecked('auto-open-tabs',    globalSettings.autoOpenTabs   || false);
     this._setChecked('debug-mode',        globalSettings.debugMode      || false);
@@ -202,24 +374,55 @@ class PopupController {
       if (unitsEl) unitsEl.disabled = isBuiltIn;
     }
 
+    // Start cell only applies to multi-up sheet templates
+    const sheet    = selected?.sheet;
+    const startRow = document.getElementById('sheet-start-row');
+    if (startRow) startRow.style.display = sheet ? '' : 'none';
+    if (sheet) {
+      const startInput = document.getElementById('sheet-start-cell');
+      if (startInput) startInput.max = sheet.rows * sheet.columns;
+      this._setVal('sheet-start-cell', globalSettings.sheetStartCell || 1);
+    }
+
     // Element selector + inspector
     this._populateElementSelector(selected);
     this._renderInspector();
+    this._updateHistoryButtons();
+    this._loadRevisions();
+    this._renderRulesList();
+  }
+
+  _populateOutputFormats() {
+    const select = document.getElementById('output-format');
+    if (!select) return;
+    select.innerHTML = '<option value="pdf">PDF</option>' +
+      Object.entries(PrinterLanguages).map(([id, lang]) =>
+        `<option value="${id}">${lang.label}</option>`
+      ).join('');
+  }
+
+  _toggleOutputFormatRows() {
+    const isPdf  = (this._getVal('output-format') || 'pdf') === 'pdf';
+    const dpiRow = document.getElementById('printer-dpi-row');
+    if (dpiRow) dpiRow.style.display = isPdf ? 'none' : '';
   }
 
   _populateElementSelector(template) {
     const select = document.getElementById('element-select');
     if (!select) return;
 
+    // Option text quotes the element's own text, so no markup
     const elements = template?.elements || [];
-    select.innerHTML = elements.length === 0
-      ? '<option value="">No elements</option>'
+    select.replaceChildren(...(elements.length === 0
+      ? [new Option('No elements', '')]
       : elements.map(el => {
           const typeDef = ElementRegistry[el.type];
           const label   = typeDef ? typeDef.label : el.type;
-          const field   = el.dataField ? ` (${el.dataField})` : (el.value ? ` "${el.value}"` : '');
-          return `<option value="${el.id}">${label}${field}</option>`;
-        }).join('');
+          const field   = el.template  ? ` "${el.template}"`
+                        : el.dataField ? ` (${el.dataField})`
+                        : el.value     ? ` "${el.value}"` : '';
+          return new Option(`${label}${field}`, el.id);
+        })));
 
     // Keep current selection if still valid, otherwise pick first
     const stillValid = elements.some(e => e.id === this.inspectorElementId);
@@ -239,6 +442,8 @@ class PopupController {
     const template   = this._getTemplateById(selectedId);
     const element    = template?.elements?.find(e => e.id === this.inspectorElementId);
 
+    this.designer?.select(element?.id || null);
+
     if (!element) {
       panel.innerHTML = '<p class="inspector-empty">Select an element to edit</p>';
       return;
@@ -250,15 +455,6 @@ class PopupController {
       return;
     }
 
-    const rows = typeDef.controls.map(ctrl => {
-      const val = element[ctrl.prop] ?? ctrl.default ?? '';
-      return `
-        <div class="inspector-row">
-          <label class="inspector-label">${ctrl.label}</label>
-          ${this._renderControl(ctrl, val, element.id)}
-        </div>`;
-    }).join('');
-
     const isEnabled = element.enabled !== false;
 
     panel.innerHTML = `
@@ -271,9 +467,27 @@ class PopupController {
           <button class="inspector-delete" data-element-id="${element.id}" title="Delete">✕</button>
         </div>
       </div>
-      <div class="inspector-controls">${rows}</div>
+      <div class="inspector-controls"></div>
+      ${this._renderRulesEditor(element)}
+      <ul class="inspector-issues"></ul>
+      <div class="inspector-render-info"></div>
     `;
 
+    // Controls are built as nodes: values and font names are user text
+    const controls = panel.querySelector('.inspector-controls');
+    for (const ctrl of typeDef.controls) {
+      const row   = document.createElement('div');
+      const label = document.createElement('label');
+      row.className     = 'inspector-row';
+      label.className   = 'inspector-label';
+      label.textContent = ctrl.label;
+      row.append(label, this._renderControl(ctrl, element[ctrl.prop] ?? ctrl.default ?? '', element.id));
+      controls.appendChild(row);
+    }
+
+    this._updateInspectorRenderInfo();
+    this._renderInspectorIssues();
+
     // Wire up controls
     panel.querySelectorAll('.inspector-control').forEach(input => {
       const handler = () => this._onInspectorChange(input);
@@ -288,6 +502,7 @@ class PopupController {
       const template   = this._getTemplateById(selectedId);
       const el         = template?.elements?.find(e => e.id === elementId);
       if (!el) return;
+      this._recordHistory(template);
       el.enabled = el.enabled === false; // toggle
       if (template.userCreated) this._debouncedSave(null, template);
       this._schedulePreview();
@@ -297,30 +512,193 @@ class PopupController {
     panel.querySelector('.inspector-delete')?.addEventListener('click', (e) => {
       this._deleteElement(e.target.dataset.elementId);
     });
+
+    // Visibility rules
+    panel.querySelectorAll('.rule-row').forEach((row, i) => {
+      const rule  = element.visibleWhen[i];
+      const field = row.querySelector('[data-part="field"]');
+      if (!VisibilityRules.fields.includes(rule.field)) field.add(new Option(rule.field, rule.field));
+      field.value = rule.field;
+      row.querySelector('[data-part="value"]').value = rule.value ?? '';
+    });
+    panel.querySelectorAll('.rule-control').forEach(input => {
+      input.addEventListener('change', () => this._onRuleChange(element.id, input));
+    });
+    panel.querySelectorAll('.rule-remove').forEach(btn => {
+      btn.addEventListener('click', () => this._removeRule(element.id, parseInt(btn.dataset.ruleIndex)));
+    });
+    panel.querySelector('.rule-add')?.addEventListener('click', () => this._addRule(element.id));
+  }
+
+  /**
+   * "Show only when" editor for an element's visibleWhen rules (all must pass).
+   */
+  _renderRulesEditor(element) {
+    const rules = element.visibleWhen || [];
+
+    const rows = rules.map((rule, i) => {
+      // The rule's own field and value are user text — _renderInspector sets them
+      const fields = VisibilityRules.fields.map(f => `<option value="${f}">${f}</option>`).join('');
+      const ops = Object.entries(VisibilityRules.operators).map(([id, op]) =>
+        `<option value="${id}" ${id === rule.op ? 'selected' : ''}>${op.label}</option>`
+      ).join('');
+      const needsValue = VisibilityRules.operators[rule.op]?.needsValue;
+
+      return `
+        <div class="rule-row">
+          <select class="rule-control setting-input" data-rule-index="${i}" data-part="field">${fields}</select>
+          <select class="rule-control setting-input" data-rule-index="${i}" data-part="op">${ops}</select>
+          <input type="text" class="rule-control setting-input rule-value" data-rule-index="${i}" data-part="value"
+            ${needsValue ? '' : 'hidden'}>
+          <button class="rule-remove" data-rule-index="${i}" title="Remove rule">✕</button>
+        </div>`;
+    }).join('');
+
+    return `
+      <div class="inspector-rules">
+        <div class="inspector-rules-header">
+          <span class="inspector-label">Show only when</span>
+          <button class="rule-add secondary-btn" title="Add rule">+ Rule</button>
+        </div>
+        ${rows || '<p class="rules-empty">Always shown</p>'}
+      </div>`;
+  }
+
+  _getInspectedElement(elementId) {
+    const selectedId = this.currentSettings.selectedTemplateId || 'thermal_57x32';
+    const template   = this._getTemplateById(selectedId);
+    const element    = template?.elements?.find(e => e.id === elementId);
+    return { template, element };
+  }
+
+  _addRule(elementId) {
+    const { template, element } = this._getInspectedElement(elementId);
+    if (!element) return;
+
+    this._recordHistory(template);
+    element.visibleWhen = [...(element.visibleWhen || []), { field: 'condition', op: 'neq', value: 'New' }];
+    this._onRulesChanged(template);
+  }
+
+  _removeRule(elementId, index) {
+    const { template, element } = this._getInspectedElement(elementId);
+    if (!element?.visibleWhen) return;
+
+    this._recordHistory(template);
+    element.visibleWhen = element.visibleWhen.filter((_, i) => i !== index);
+    if (element.visibleWhen.length === 0) delete element.visibleWhen;
+    this._onRulesChanged(template);
+  }
+
+  _onRuleChange(elementId, input) {
+    const { template, element } = this._getInspectedElement(elementId);
+    const rule = element?.visibleWhen?.[parseInt(input.dataset.ruleIndex)];
+    if (!rule) return;
+
+    this._recordHistory(template);
+    rule[input.dataset.part] = input.value;
+    if (!VisibilityRules.operators[rule.op]?.needsValue) delete rule.value;
+    this._onRulesChanged(template);
+  }
+
+  _onRulesChanged(template) {
+    if (template.userCreated) this._debouncedSave(null, template);
+    this._renderInspector(); // operator changes show or hide the value input
+    this._schedulePreview();
+  }
+
+  /**
+   * Check the selected template in the background and refresh the
+   * inspector's list of problems. Runs with each preview render.
+   */
+  async _validateTemplate(template) {
+    const resp = await chrome.runtime.sendMessage({ action: 'validateTemplate', templateData: template });
+    this.validation = resp.success ? resp.data : null;
+    this._renderInspectorIssues();
+  }
+
+  /**
+   * Errors (which block saving) and printability warnings for the
+   * inspected element, from the last validation.
+   */
+  _renderInspectorIssues() {
+    const list = document.querySelector('#inspector-panel .inspector-issues');
+    if (!list) return;
+
+    const errors   = this.validation?.elementErrors?.[this.inspectorElementId]   || [];
+    const warnings = this.validation?.elementWarnings?.[this.inspectorElementId] || [];
+    // Messages can quote the element's own text
+    const item = (className, message) => {
+      const li = document.createElement('li');
+      li.className   = className;
+      li.textContent = message;
+      return li;
+    };
+    list.replaceChildren(
+      ...errors.map(message => item('issue-error', `✕ ${message}`)),
+      ...warnings.map(message => item('issue-warning', `⚠ ${message}`))
+    );
+  }
+
+  /**
+   * Show what the last preview actually rendered for the selected element,
+   * e.g. the font size chosen by shrink-to-fit.
+   */
+  _updateInspectorRenderInfo() {
+    const info = document.querySelector('#inspector-panel .inspector-render-info');
+    if (!info) return;
+
+    const rendered = this.pdfGenerator.lastRenderInfo[this.inspectorElementId];
+    info.textContent = rendered?.fontSize !== undefined
+      ? `Rendered at ${rendered.fontSize} pt`
+      : '';
   }
 
+  /**
+   * Input node for one inspector control
+   * @returns {HTMLElement}
+   */
   _renderControl(ctrl, value, elementId) {
-    const attrs = `data-prop="${ctrl.prop}" data-element-id="${elementId}" class="inspector-control setting-input"`;
+    let control;
 
     switch (ctrl.type) {
       case 'select': {
-        const options = ctrl.options.map(o =>
-          `<option value="${o}" ${o === value ? 'selected' : ''}>${o}</option>`
-        ).join('');
-        return `<select ${attrs}>${options}</select>`;
+        // Options may be a function for lists that change at runtime (e.g. fonts)
+        const list = typeof ctrl.options === 'function' ? ctrl.options() : ctrl.options;
+        control = document.createElement('select');
+        for (const o of list) {
+          const option = document.createElement('option');
+          option.value       = o;
+          option.textContent = o;
+          option.selected    = o === value;
+          control.appendChild(option);
+        }
+        break;
       }
       case 'checkbox':
-        return `<input type="checkbox" ${attrs} ${value ? 'checked' : ''}>`;
-      case 'number': {
-        const min  = ctrl.min  !== undefined ? `min="${ctrl.min}"`  : '';
-        const max  = ctrl.max  !== undefined ? `max="${ctrl.max}"`  : '';
-        const step = ctrl.step !== undefined ? `step="${ctrl.step}"` : '';
-        return `<input type="number" ${attrs} value="${value}" ${min} ${max} ${step}>`;
-      }
+        control = document.createElement('input');
+        control.type    = 'checkbox';
+        control.checked = Boolean(value);
+        break;
+      case 'number':
+        control = document.createElement('input');
+        control.type  = 'number';
+        control.value = value;
+        if (ctrl.min  !== undefined) control.min  = ctrl.min;
+        if (ctrl.max  !== undefined) control.max  = ctrl.max;
+        if (ctrl.step !== undefined) control.step = ctrl.step;
+        break;
       case 'text':
       default:
-        return `<input type="text" ${attrs} value="${value}">`;
+        control = document.createElement('input');
+        control.type  = 'text';
+        control.value = value;
     }
+
+    control.className         = 'inspector-control setting-input';
+    control.dataset.prop      = ctrl.prop;
+    control.dataset.elementId = elementId;
+    return control;
   }
 
   _onInspectorChange(input) {
@@ -328,7 +706,9 @@ class PopupController {
     const prop      = input.dataset.prop;
     const value     = input.type === 'checkbox'
       ? input.checked
-      : (input.type === 'number' ? parseFloat(input.value) : input.value);
+      : (input.type === 'number'
+        ? (input.value === '' ? undefined : parseFloat(input.value)) // cleared = unset optional prop
+        : input.value);
 
     // Mutate the in-memory template element
     const selectedId = this.currentSettings.selectedTemplateId || 'thermal_57x32';
@@ -338,20 +718,73 @@ class PopupController {
     const element = template.elements.find(e => e.id === elementId);
     if (!element) return;
 
+    this._recordHistory(template, `${elementId}:${prop}`);
     element[prop] = value;
 
     // Persist and re-render preview
     if (template.userCreated) {
       this._debouncedSave(null, template);
     }
+    this.designer?.render();
     this._schedulePreview();
   }
 
+  // ─── Designer ──────────────────────────────────────────────────────────────
+
+  /**
+   * Canvas designer for the selected template. It edits the same in-memory
+   * elements as the inspector; selection and geometry flow both ways.
+   */
+  _createDesigner() {
+    const canvas = document.getElementById('label-designer');
+    if (!canvas) return null;
+
+    return new LabelDesigner(canvas, {
+      getTemplate:   () => this._getTemplateById(this.currentSettings.selectedTemplateId || 'thermal_57x32'),
+      getSampleData: () => this._getSampleData(),
+
+      onSelect: (elementId) => {
+        this.inspectorElementId = elementId;
+        this._setVal('element-select', elementId);
+        this._renderInspector();
+      },
+
+      // Each drag is one undo step; a run of arrow-key nudges is another
+      onBeforeChange: (element, action) => {
+        const template = this._getTemplateById(this.currentSettings.selectedTemplateId || 'thermal_57x32');
+        if (template) this._recordHistory(template, action === 'nudge' ? `nudge:${element.id}` : null);
+      },
+
+      onChange: (element) => this._syncInspectorGeometry(element),
+
+      onCommit: (element) => {
+        const template = this._getTemplateById(this.currentSettings.selectedTemplateId || 'thermal_57x32');
+        this._syncInspectorGeometry(element);
+        if (template?.userCreated) this._debouncedSave(null, template);
+        this._schedulePreview();
+      }
+    });
+  }
+
+  /**
+   * Refresh the inspector's position and size inputs while an element is
+   * dragged, without rebuilding the panel.
+   */
+  _syncInspectorGeometry(element) {
+    if (element.id !== this.inspectorElementId) return;
+
+    ['x', 'y', 'width', 'height', 'size', 'boxWidth'].forEach(prop => {
+      const input = document.querySelector(`#inspector-panel .inspector-control[data-prop="${prop}"]`);
+      if (input && element[prop] !== undefined) input.value = element[prop];
+    });
+  }
+
   _deleteElement(elementId) {
     const selectedId = this.currentSettings.selectedTemplateId;
     const template   = this._getTemplateById(selectedId);
     if (!template || !template.userCreated) return;
 
+    this._recordHistory(template);
     template.elements = template.elements.filter(e => e.id !== elementId);
     if (this.inspectorElementId === elementId) {
       this.inspectorElementId = template.elements[0]?.id || null;
@@ -378,8 +811,14 @@ class PopupController {
 
     if (!type || !ElementRegistry[type]) return;
 
+    this._recordHistory(template);
     const newElement = ElementRegistry.createElement(type);
-    template.elements.push(newElement);
+    // Shapes go to the bottom of the stack so frames and boxes sit behind text
+    if (ElementRegistry[type].behindContent) {
+      template.elements.unshift(newElement);
+    } else {
+      template.elements.push(newElement);
+    }
     this.inspectorElementId = newElement.id;
 
     this._populateElementSelector(template);
@@ -388,6 +827,209 @@ class PopupController {
     this._schedulePreview();
   }
 
+  // ─── Undo / Redo ───────────────────────────────────────────────────────────
+
+  _getHistory(templateId) {
+    if (!this.history.has(templateId)) {
+      this.history.set(templateId, { undo: [], redo: [], lastKey: null, lastAt: 0 });
+    }
+    return this.history.get(templateId);
+  }
+
+  /**
+   * Snapshot a template's elements before an edit. Call before mutating.
+   * Repeated edits with the same `coalesceKey` in quick succession — typing
+   * into one inspector field, nudging with the arrow keys — share one step.
+   *
+   * @param {Object} template
+   * @param {string} [coalesceKey]
+   */
+  _recordHistory(template, coalesceKey = null) {
+    const history = this._getHistory(template.id);
+    const now     = Date.now();
+
+    const coalesce = coalesceKey && coalesceKey === history.lastKey
+      && now - history.lastAt < HISTORY_COALESCE_MS;
+    history.lastKey = coalesceKey;
+    history.lastAt  = now;
+    if (coalesce) return;
+
+    history.undo.push(this._snapshotTemplate(template));
+    if (history.undo.length > HISTORY_LIMIT) history.undo.shift();
+    history.redo = [];
+    this._updateHistoryButtons();
+  }
+
+  _undo() {
+    this._stepHistory('undo', 'redo');
+  }
+
+  _redo() {
+    this._stepHistory('redo', 'undo');
+  }
+
+  /**
+   * Restore the newest snapshot from one stack, pushing the current state
+   * onto the other.
+   */
+  _stepHistory(from, to) {
+    const template = this._getTemplateById(this.currentSettings.selectedTemplateId || 'thermal_57x32');
+    if (!template) return;
+
+    const history  = this._getHistory(template.id);
+    const snapshot = history[from].pop();
+    if (!snapshot) return;
+
+    history[to].push(this._snapshotTemplate(template));
+    history.lastKey = null; // the next edit always starts a new step
+
+    template.elements = snapshot.elements;
+    // Return to the element that was being edited, if it still exists
+    if (template.elements.some(e => e.id === snapshot.inspectorElementId)) {
+      this.inspectorElementId = snapshot.inspectorElementId;
+    }
+
+    this._populateElementSelector(template);
+    this._renderInspector();
+    this._updateHistoryButtons();
+    if (template.userCreated) this._debouncedSave(null, template);
+    this._schedulePreview();
+  }
+
+  _snapshotTemplate(template) {
+    return {
+      elements: JSON.parse(JSON.stringify(template.elements || [])),
+      inspectorElementId: this.inspectorElementId
+    };
+  }
+
+  _updateHistoryButtons() {
+    const templateId = this.currentSettings.selectedTemplateId || 'thermal_57x32';
+    const history    = this.history.get(templateId);
+    const undoBtn    = document.getElementById('undo-btn');
+    const redoBtn    = document.getElementById('redo-btn');
+    if (undoBtn) undoBtn.disabled = !history?.undo.length;
+    if (redoBtn) redoBtn.disabled = !history?.redo.length;
+  }
+
+  /**
+   * Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS, Ctrl+Y also redoes) on the Settings
+   * tab. Text fields keep their own undo while focused.
+   */
+  _onHistoryKey(e) {
+    if (this.currentTab !== 'settings' || !(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+    const key    = e.key.toLowerCase();
+    const isUndo = key === 'z' && !e.shiftKey;
+    const isRedo = (key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey);
+    if (!isUndo && !isRedo) return;
+
+    const target = e.target;
+    if (target.tagName === 'TEXTAREA' || (target.tagName === 'INPUT' && target.type === 'text')) return;
+
+    e.preventDefault();
+    if (isUndo) this._undo(); else this._redo();
+  }
+
+  // ─── Revisions ─────────────────────────────────────────────────────────────
+
+  /**
+   * List saved revisions of the selected custom template. Built-in templates
+   * cannot change, so they have none.
+   */
+  async _loadRevisions() {
+    const section  = document.getElementById('revisions-section');
+    const list     = document.getElementById('revisions-list');
+    const template = this._getTemplateById(this.currentSettings.selectedTemplateId || 'thermal_57x32');
+    if (!section || !list) return;
+
+    section.style.display = template?.userCreated ? '' : 'none';
+    if (!template?.userCreated) return;
+
+    const resp = await chrome.runtime.sendMessage({ action: 'getTemplateRevisions', templateId: template.id });
+    this.revisions = resp.success ? resp.data : [];
+
+    if (this.revisions.length === 0) {
+      list.innerHTML = '<p class="revisions-empty">No earlier versions yet</p>';
+      return;
+    }
+
+    list.innerHTML = '';
+    for (const rev of this.revisions) {
+      const item = document.createElement('div');
+      item.className = 'revision-item';
+      item.innerHTML = `
+        <span class="revision-time">${this._formatDate(rev.savedAt)}</span>
+        <span class="revision-summary"></span>
+        <button class="secondary-btn revision-preview" title="Preview this version">View</button>
+        <button class="secondary-btn revision-restore" title="Restore this version">Restore</button>
+      `;
+      // Summaries quote the template name
+      item.querySelector('.revision-summary').textContent = rev.summary;
+      item.querySelector('.revision-preview').addEventListener('click', () => this._previewRevision(rev.id));
+      item.querySelector('.revision-restore').addEventListener('click', () => this._restoreRevision(rev.id));
+      list.appendChild(item);
+    }
+  }
+
+  /**
+   * Render a revision into the preview pane without touching the template.
+   * Any edit (or "Back") re-renders the current version.
+   */
+  async _previewRevision(revisionId) {
+    const revision  = this.revisions?.find(r => r.id === revisionId);
+    const previewEl = document.getElementById('label-preview');
+    if (!revision || !previewEl) return;
+
+    clearTimeout(this._previewTimeout);
+    try {
+      const doc  = await this.pdfGenerator.generateLabels(
+        this._getSampleData(), 1, this._readFormSettings(), revision.template, this.fonts
+      );
+      const url = URL.createObjectURL(doc.output('blob'));
+
+      previewEl.innerHTML = `
+        <iframe class="preview-frame" src="${url}" title="Revision preview"></iframe>
+        <div class="preview-revision-note">
+          <span>Version from ${this._formatDate(revision.savedAt)}</span>
+          <button class="secondary-btn revision-back">Back</button>
+        </div>`;
+      previewEl.querySelector('.revision-back').addEventListener('click', () => this._schedulePreview());
+      setTimeout(() => URL.revokeObjectURL(url), 30000);
+    } catch (error) {
+      previewEl.innerHTML = `<div class="preview-error">Preview error: ${error.message}</div>`;
+    }
+  }
+
+  async _restoreRevision(revisionId) {
+    const revision = this.revisions?.find(r => r.id === revisionId);
+    const template = this._getTemplateById(this.currentSettings.selectedTemplateId);
+    if (!revision || !template) return;
+    if (!confirm(`Restore the version from ${this._formatDate(revision.savedAt)}? The current version is kept as a revision.`)) return;
+
+    // A pending autosave would overwrite the restored version
+    clearTimeout(this._saveTimeout);
+    this._showSavingIndicator(false);
+
+    const resp = await chrome.runtime.sendMessage({
+      action: 'restoreTemplateRevision',
+      templateId: template.id,
+      revisionId
+    });
+    if (!resp.success) {
+      this._showError('Failed to restore revision: ' + resp.error);
+      return;
+    }
+
+    const index = this.currentTemplates.findIndex(t => t.id === template.id);
+    if (index >= 0) this.currentTemplates[index] = resp.data;
+    this.history.delete(template.id); // undo steps refer to the replaced version
+
+    this._populateSettingsPanel();
+    this._schedulePreview();
+    this._showSuccess('Revision restored');
+  }
+
   // ─── Template Dropdown ─────────────────────────────────────────────────────
 
   async _toggleTemplateDropdown() {
@@ -395,17 +1037,22 @@ class PopupController {
     if (!dropdown) return;
 
     if (dropdown.style.display !== 'block') {
+      // Names can come from imported template files
       const selectedId = this.currentSettings.selectedTemplateId;
-      dropdown.innerHTML = this.currentTemplates.map(t => `
-        <div class="template-dropdown-item ${t.id === selectedId ? 'selected' : ''}"
-             data-id="${t.id}">
-          ${t.name}${t.userCreated ? ' <span class="custom-badge">Custom</span>' : ''}
-        </div>
-      `).join('');
-
-      dropdown.querySelectorAll('.template-dropdown-item').forEach(item => {
-        item.addEventListener('click', () => this._selectTemplate(item.dataset.id));
-      });
+      dropdown.replaceChildren(...this.currentTemplates.map(t => {
+        const item = document.createElement('div');
+        item.className   = 'template-dropdown-item';
+        item.textContent = t.name;
+        item.classList.toggle('selected', t.id === selectedId);
+        if (t.userCreated) {
+          const badge = document.createElement('span');
+          badge.className   = 'custom-badge';
+          badge.textContent = 'Custom';
+          item.append(' ', badge);
+        }
+        item.addEventListener('click', () => this._selectTemplate(t.id));
+        return item;
+      }));
 
       dropdown.style.display = 'block';
     } else {
@@ -459,9 +1106,63 @@ class PopupController {
     }
   }
 
+  // ─── Template Files ────────────────────────────────────────────────────────
+
+  /**
+   * Download the selected template as a versioned JSON file, for moving
+   * layouts between machines.
+   */
+  async _exportTemplate() {
+    const templateId = this.currentSettings.selectedTemplateId || 'thermal_57x32';
+    const resp = await chrome.runtime.sendMessage({ action: 'exportTemplate', templateId });
+    if (!resp.success) {
+      this._showError('Failed to export template: ' + resp.error);
+      return;
+    }
+
+    const json = JSON.stringify(resp.data, null, 2);
+    const url  = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const name = (resp.data.template.name || 'template').replace(/[^\w.-]+/g, '_');
+
+    const a = document.createElement('a');
+    a.href     = url;
+    a.download = `${name}.label-template.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 5000);
+  }
+
+  async _importTemplate(input) {
+    const file = input.files?.[0];
+    if (!file) return;
+
+    try {
+      let fileData;
+      try {
+        fileData = JSON.parse(await file.text());
+      } catch {
+        throw new Error(`${file.name} is not valid JSON`);
+      }
+
+      const resp = await chrome.runtime.sendMessage({ action: 'importTemplate', fileData });
+      if (!resp.success) throw new Error(resp.error);
+
+      const templatesResp = await chrome.runtime.sendMessage({ action: 'getAllTemplates' });
+      if (templatesResp.success) this.currentTemplates = templatesResp.data;
+      await this._selectTemplate(resp.data.id);
+      this._showSuccess(`Imported "${resp.data.name}"`);
+    } catch (error) {
+      this._showError('Failed to import template: ' + error.message);
+    } finally {
+      input.value = ''; // allow re-selecting the same file
+    }
+  }
+
   // ─── Settings Form Changes ─────────────────────────────────────────────────
 
   _onSettingsFormChange() {
+    this._toggleOutputFormatRows();
     const settings = this._readFormSettings();
     this._debouncedSave(settings);
     this._schedulePreview();
@@ -474,11 +1175,16 @@ class PopupController {
         ...(this.currentSettings.globalSettings || {}),
         barcodeFormat:  this._getVal('default-barcode') || 'CODE128',
         pdfDPI:         parseInt(this._getVal('pdf-dpi')) || 300,
+        sheetStartCell: parseInt(this._getVal('sheet-start-cell')) || 1,
+        outputFormat:   this._getVal('output-format') || 'pdf',
+        printerDPI:     parseInt(this._getVal('printer-dpi')) || 203,
+        dateFormat:     this._getVal('date-format'),
         autoExtract:    document.getElementById('auto-extract')?.checked   !== false,
         autoOpenTabs:   document.getElementById('auto-open-tabs')?.checked || false,
         debugMode:      document.getElementById('debug-mode')?.checked     || false,
         lastSelectedTab: this.currentTab
-      }
+      },
+      marketplaceDateFormat: this.currentSettings.marketplaceDateFormat
     };
   }
 
@@ -496,6 +1202,7 @@ class PopupController {
             templateId: updatedTemplate.id,
             templateData: updatedTemplate
           });
+          this._loadRevisions();
         }
         this._showSavingIndicator(false);
       } catch (error) {
@@ -506,6 +1213,17 @@ class PopupController {
   }
 
   async _resetSettings() {
+    // With a marketplace selected, resetting drops its profile
+    if (this.marketplace) {
+      if (!confirm(`Remove the ${this.marketplace} profile and use the default settings there?`)) return;
+      const resp = await chrome.runtime.sendMessage({ action: 'deleteMarketplaceProfile', marketplace: this.marketplace });
+      if (resp.success) {
+        await this._loadMarketplaces();
+        await this._switchMarketplace(this.marketplace);
+      }
+      return;
+    }
+
     if (!confirm('Reset all settings to defaults?')) return;
     const resp = await chrome.runtime.sendMessage({
       action: 'saveSettings',
@@ -513,7 +1231,8 @@ class PopupController {
         selectedTemplateId: 'thermal_57x32',
         globalSettings: {
           barcodeFormat: 'CODE128', autoExtract: true,
-          autoOpenTabs: false, debugMode: false, pdfDPI: 300
+          autoOpenTabs: false, debugMode: false, pdfDPI: 300,
+          sheetStartCell: 1, outputFormat: 'pdf', printerDPI: 203, dateFormat: ''
         }
       }
     });
@@ -539,16 +1258,20 @@ class PopupController {
     const template  = this._getTemplateById(settings.selectedTemplateId);
     if (!template) return;
 
+    this.designer?.render();
+    this._validateTemplate(template);
+
     try {
       previewEl.innerHTML = '<div class="preview-loading">Rendering…</div>';
 
       const sampleData = this._getSampleData();
-      const doc  = await this.pdfGenerator.generateLabels(sampleData, 1, settings, template);
+      const doc  = await this.pdfGenerator.generateLabels(sampleData, 1, settings, template, this.fonts);
       const blob = doc.output('blob');
       const url  = URL.createObjectURL(blob);
 
       previewEl.innerHTML = `<iframe class="preview-frame" src="${url}" title="Label preview"></iframe>`;
       setTimeout(() => URL.revokeObjectURL(url), 30000);
+      this._updateInspectorRenderInfo();
     } catch (error) {
       previewEl.innerHTML = `<div class="preview-error">Preview error: ${error.message}</div>`;
     }
@@ -561,6 +1284,10 @@ class PopupController {
       asin:      'B0FXH65FKG',
       title:     'Sample Product Title',
       condition: 'NEW',
+      expiry:    '2027-03-31',
+      lot:       'L2403A',
+      ruleText:  'Sold as set',
+      dateFormat: TemplateString.dateFormat(this._readFormSettings()),
       imageUrl:  null
     };
   }
@@ -572,30 +1299,18 @@ class PopupController {
     if (!this._validateManualForm(data)) return;
 
     try {
-      const templateId = document.getElementById('manual-template-select')?.value
-        || this.currentSettings.selectedTemplateId
-        || 'thermal_57x32';
+      const template      = this._getManualTemplate();
+      const settings      = this._readFormSettings();
+      const [productData] = await this._recordInCatalog([data]);
+      if (!this._confirmBlankLabelFields([productData], template)) return;
 
-      const template = this._getTemplateById(templateId);
-      if (!template) throw new Error('Template not found');
-
-      const settings = this._readFormSettings();
-      const doc      = await this.pdfGenerator.generateLabels(data, data.quantity, settings, template);
-      const blob     = doc.output('blob');
-      const url      = URL.createObjectURL(blob);
-
-      const a = document.createElement('a');
-      a.href     = url;
-      a.download = `${data.sku}_label.pdf`;
-      document.body.appendChild(a);
-      a.click();
-      document.body.removeChild(a);
-      setTimeout(() => URL.revokeObjectURL(url), 5000);
+      await this._saveLabelFile([{ productData, quantity: data.quantity }], settings, template, `${data.sku}_label`);
 
       await chrome.runtime.sendMessage({
         action: 'addToDownloadHistory',
-        data: { ...data, timestamp: new Date().toISOString() }
+        data: { ...data, templateId: template.id, timestamp: new Date().toISOString() }
       });
+      await this._loadDownloadHistory();
 
       this._showSuccess(`Generated ${data.quantity} label(s) for ${data.sku}`);
     } catch (error) {
@@ -610,40 +1325,222 @@ class PopupController {
       asin:      document.getElementById('manual-asin')?.value.trim().toUpperCase() || '',
       title:     document.getElementById('manual-title')?.value.trim()     || '',
       condition: document.getElementById('manual-condition')?.value.trim() || 'NEW',
+      expiry:    document.getElementById('manual-expiry')?.value             || '',
+      lot:       document.getElementById('manual-lot')?.value.trim()       || '',
       quantity:  parseInt(document.getElementById('manual-quantity')?.value) || 1
     };
   }
 
-  _validateManualForm(data) {
-    let valid = true;
+  // ─── Manual Entry Autocomplete ───────────────────────────────────────────────
+
+  /**
+   * SKU and FNSKU suggest products printed or extracted before; picking one
+   * fills the whole form with its last quantity and template.
+   */
+  _setupManualAutocomplete() {
+    ['sku', 'fnsku'].forEach(field => {
+      const input = document.getElementById(`manual-${field}`);
+      if (!input) return;
+
+      input.setAttribute('autocomplete', 'off');
+      input.addEventListener('input', () => {
+        clearTimeout(this._suggestTimeout);
+        this._suggestTimeout = setTimeout(() => this._showSuggestions(input, field), 150);
+      });
+      input.addEventListener('keydown', (e) => this._onSuggestionKey(e));
+      input.addEventListener('blur', () => this._hideSuggestions());
+    });
+  }
+
+  /**
+   * Products whose `field` contains the query, prefix matches first. Download
+   * history gives the last quantity and template; the catalog gives current
+   * product values and SKUs that were extracted but never printed.
+   * @returns {Object[]} { sku, fnsku, asin, title, condition, quantity, templateId }
+   */
+  async _findSuggestions(field, query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return [];
+
+    const bySku = new Map();
+    for (const entry of this.downloadHistory) {
+      if (entry.sku && !bySku.has(entry.sku)) bySku.set(entry.sku, { ...entry });
+    }
+
+    const resp = await chrome.runtime.sendMessage({ action: 'searchCatalog', query: needle, limit: 20 });
+    for (const product of resp.success ? resp.data.products : []) {
+      const last = bySku.get(product.sku) || {};
+      bySku.set(product.sku, {
+        ...last,
+        sku:       product.sku,
+        fnsku:     product.fnsku     || last.fnsku,
+        asin:      product.asin      || last.asin,
+        title:     product.title     || last.title,
+        condition: product.condition || last.condition,
+        expiry:    product.fields?.expiry || last.expiry,
+        lot:       product.fields?.lot    || last.lot
+      });
+    }
+
+    const value = (s) => String(s[field] || '').toLowerCase();
+    return [...bySku.values()]
+      .filter(s => value(s).includes(needle))
+      .sort((a, b) => value(b).startsWith(needle) - value(a).startsWith(needle))
+      .slice(0, 8);
+  }
+
+  async _showSuggestions(input, field) {
+    const query = input.value;
+    const items = await this._findSuggestions(field, query);
+    if (input.value !== query || document.activeElement !== input) return; // typed on or left meanwhile
+
+    this._hideSuggestions();
+    if (items.length === 0) return;
+
+    const menu = document.createElement('div');
+    menu.className = 'autocomplete-menu';
+    items.forEach((item, i) => {
+      const option = document.createElement('div');
+      option.className = 'autocomplete-item';
+      option.innerHTML = '<div class="autocomplete-main"></div><div class="autocomplete-details"></div>';
+      option.querySelector('.autocomplete-main').textContent    = `${item.sku} · ${item.fnsku || '—'}`;
+      option.querySelector('.autocomplete-details').textContent =
+        [item.title, item.quantity && `×${item.quantity}`].filter(Boolean).join(' · ');
+
+      // mousedown, not click — it lands before the input's blur closes the menu
+      option.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        this._applySuggestion(i);
+      });
+      menu.appendChild(option);
+    });
+
+    input.closest('.form-group').appendChild(menu);
+    this.suggestions = { input, items, active: -1 };
+  }
+
+  _onSuggestionKey(e) {
+    const { items, active } = this.suggestions;
+    if (items.length === 0) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      this.suggestions.active = (active + step + items.length) % items.length;
+      document.querySelectorAll('.autocomplete-item').forEach((el, i) => {
+        el.classList.toggle('active', i === this.suggestions.active);
+      });
+    } else if (e.key === 'Enter' && active >= 0) {
+      e.preventDefault();
+      this._applySuggestion(active);
+    } else if (e.key === 'Escape') {
+      this._hideSuggestions();
+    }
+  }
+
+  _applySuggestion(index) {
+    const item = this.suggestions.items[index];
+    if (!item) return;
+
+    this._setVal('manual-sku',       item.sku);
+    this._setVal('manual-fnsku',     item.fnsku || '');
+    this._setVal('manual-asin',      item.asin || '');
+    this._setVal('manual-title',     item.title || '');
+    this._setVal('manual-condition', item.condition || 'NEW');
+    this._setVal('manual-expiry',    TemplateString.isoDate(item.expiry || ''));
+    this._setVal('manual-lot',       item.lot || '');
+    this._setVal('manual-quantity',  item.quantity || 1);
+
+    // The template it was last printed with, when that still exists
+    this._populateManualTemplateSelector();
+    const templateSelect = document.getElementById('manual-template-select');
+    if (templateSelect && this._getTemplateById(item.templateId)) templateSelect.value = item.templateId;
+
     document.querySelectorAll('.form-group').forEach(g => g.classList.remove('error', 'success'));
+    this._hideSuggestions();
+  }
 
-    if (!data.sku)  { this._fieldError('manual-sku', 'SKU is required'); valid = false; }
-    else this._fieldSuccess('manual-sku');
+  _hideSuggestions() {
+    clearTimeout(this._suggestTimeout);
+    document.querySelectorAll('.autocomplete-menu').forEach(menu => menu.remove());
+    this.suggestions = { input: null, items: [], active: -1 };
+  }
 
-    if (!data.fnsku) { this._fieldError('manual-fnsku', 'FNSKU is required'); valid = false; }
-    else if (!/^[A-Z0-9]{10}$/.test(data.fnsku)) {
-      this._fieldError('manual-fnsku', 'Must be 10 alphanumeric characters'); valid = false;
-    } else this._fieldSuccess('manual-fnsku');
+  _validateManualForm(data) {
+    document.querySelectorAll('.form-group').forEach(g => g.classList.remove('error', 'success'));
 
-    if (data.asin && !/^B[0-9A-Z]{9}$/.test(data.asin)) {
-      this._fieldError('manual-asin', 'Invalid ASIN format'); valid = false;
+    const errors = this._validateProductData(data);
+    for (const field of ['sku', 'fnsku', 'asin', 'expiry', 'quantity']) {
+      if (errors[field]) this._fieldError(`manual-${field}`, errors[field]);
+      else if (field !== 'asin' && field !== 'expiry') this._fieldSuccess(`manual-${field}`);
     }
 
-    if (data.quantity < 1 || data.quantity > 1000) {
-      this._fieldError('manual-quantity', 'Must be 1–1000'); valid = false;
-    } else this._fieldSuccess('manual-quantity');
+    return Object.keys(errors).length === 0;
+  }
+
+  /**
+   * Field-level checks shared by the manual form and bulk import rows.
+   * @returns {Object} Map of field name → error message; empty when valid
+   */
+  _validateProductData(data) {
+    const errors = {};
+
+    if (!data.sku) errors.sku = 'SKU is required';
 
-    return valid;
+    if (!data.fnsku) errors.fnsku = 'FNSKU is required';
+    else if (!/^[A-Z0-9]{10}$/.test(data.fnsku)) errors.fnsku = 'Must be 10 alphanumeric characters';
+
+    if (data.asin && !/^B[0-9A-Z]{9}$/.test(data.asin)) errors.asin = 'Invalid ASIN format';
+
+    if (data.expiry && !TemplateString.parseDate(data.expiry)) errors.expiry = 'Not a date (use YYYY-MM-DD)';
+
+    if (!Number.isInteger(data.quantity) || data.quantity < 1 || data.quantity > 1000) errors.quantity = 'Must be 1–1000';
+
+    return errors;
+  }
+
+  _getManualTemplate() {
+    const templateId = document.getElementById('manual-template-select')?.value
+      || this.currentSettings.selectedTemplateId
+      || 'thermal_57x32';
+
+    const template = this._getTemplateById(templateId);
+    if (!template) throw new Error('Template not found');
+    return template;
+  }
+
+  /**
+   * Generate one output file for the given items in the selected output format.
+   * @param {Array<{productData: Object, quantity: number}>} items
+   * @param {string} basename - File name without extension
+   */
+  async _saveLabelFile(items, settings, template, basename) {
+    if (settings.globalSettings.outputFormat === 'pdf') {
+      const doc  = await this.pdfGenerator.generateBatch(items, settings, template, this.fonts);
+      const blob = doc.output('blob');
+      const url  = URL.createObjectURL(blob);
+
+      const a = document.createElement('a');
+      a.href     = url;
+      a.download = `${basename}.pdf`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      setTimeout(() => URL.revokeObjectURL(url), 5000);
+    } else {
+      const job       = await this.commandGenerator.generateBatch(items, settings, template);
+      const extension = this.commandGenerator.getFileExtension(settings);
+      this.commandGenerator.saveFile(job, `${basename}.${extension}`);
+    }
   }
 
   _populateManualTemplateSelector() {
     const select = document.getElementById('manual-template-select');
     if (!select) return;
-    select.innerHTML = '<option value="">Use Active Template</option>' +
-      this.currentTemplates.map(t =>
-        `<option value="${t.id}">${t.name}${t.userCreated ? ' (Custom)' : ''}</option>`
-      ).join('');
+    select.replaceChildren(
+      new Option('Use Active Template', ''),
+      ...this.currentTemplates.map(t => new Option(`${t.name}${t.userCreated ? ' (Custom)' : ''}`, t.id))
+    );
   }
 
   _loadSampleData() {
@@ -652,6 +1549,8 @@ class PopupController {
     this._setVal('manual-asin',      'B0FXH65FKG');
     this._setVal('manual-title',     'Sample Product — Eclipse Solar Glasses');
     this._setVal('manual-condition', 'NEW');
+    this._setVal('manual-expiry',    '2027-03-31');
+    this._setVal('manual-lot',       'L2403A');
     this._setVal('manual-quantity',  '2');
     document.querySelectorAll('.form-group').forEach(g => g.classList.remove('error', 'success'));
     this._showSuccess('Sample data loaded');
@@ -663,6 +1562,772 @@ class PopupController {
     document.querySelectorAll('.form-group').forEach(g => g.classList.remove('error', 'success'));
   }
 
+  // ─── Bulk Import ───────────────────────────────────────────────────────────
+
+  async _loadBulkFile(input) {
+    const file = input.files?.[0];
+    if (!file) return;
+
+    try {
+      this._setVal('bulk-input', await file.text());
+      this._parseBulkInput();
+    } catch (error) {
+      this._showError('Failed to read file: ' + error.message);
+    } finally {
+      input.value = ''; // allow re-selecting the same file
+    }
+  }
+
+  /**
+   * Parse the bulk textarea into validated rows and re-render the table.
+   * Accepts CSV or tab-separated text (Excel / shipment plan copy-paste).
+   * A header row maps columns by name; without one the column order is
+   * sku, fnsku, asin, title, condition, quantity, expiry, lot.
+   */
+  _parseBulkInput() {
+    const records = this._parseDelimited(this._getVal('bulk-input'));
+    const columns = this._mapBulkColumns(records[0] || []);
+    const body    = columns ? records.slice(1) : records;
+    const order   = columns || { sku: 0, fnsku: 1, asin: 2, title: 3, condition: 4, quantity: 5, expiry: 6, lot: 7 };
+
+    this.bulkRows = body.map(cells => {
+      const cell     = (field) => (order[field] !== undefined ? cells[order[field]] || '' : '').trim();
+      const quantity = cell('quantity');
+      const data     = {
+        sku:       cell('sku'),
+        fnsku:     cell('fnsku').toUpperCase(),
+        asin:      cell('asin').toUpperCase(),
+        title:     cell('title'),
+        condition: cell('condition') || 'NEW',
+        expiry:    TemplateString.isoDate(cell('expiry')) || cell('expiry'),
+        lot:       cell('lot'),
+        // Only a missing quantity means 1; anything unparseable is flagged
+        quantity:  quantity ? parseInt(quantity) : 1
+      };
+      // A blank FNSKU may come from the catalog — checked again after the merge
+      const errors = this._validateProductData(data);
+      if (!data.fnsku) delete errors.fnsku;
+      return { data, errors };
+    });
+
+    this._renderBulkTable();
+  }
+
+  /**
+   * Minimal RFC 4180 reader: quoted fields, doubled quotes, embedded
+   * delimiters/newlines. Tab-delimited when the first line contains a tab.
+   */
+  _parseDelimited(text) {
+    const delimiter = text.split('\n', 1)[0].includes('\t') ? '\t' : ',';
+    const records   = [];
+    let record = [];
+    let field  = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (quoted) {
+        if (ch !== '"')               field += ch;
+        else if (text[i + 1] === '"') { field += '"'; i++; }
+        else                          quoted = false;
+      } else if (ch === '"' && field === '') {
+        quoted = true;
+      } else if (ch === delimiter) {
+        record.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        record.push(field);
+        records.push(record);
+        record = [];
+        field  = '';
+      } else {
+        field += ch;
+      }
+    }
+
+    if (field || record.length) {
+      record.push(field);
+      records.push(record);
+    }
+
+    return records.filter(r => r.some(cell => cell.trim()));
+  }
+
+  /**
+   * Map header cells to field → column index, or null when the first
+   * record is data rather than a header.
+   */
+  _mapBulkColumns(header) {
+    const aliases = {
+      sku:       ['sku', 'merchant sku', 'seller sku', 'msku'],
+      fnsku:     ['fnsku'],
+      asin:      ['asin'],
+      title:     ['title', 'product title', 'product name', 'name'],
+      condition: ['condition'],
+      quantity:  ['quantity', 'qty', 'units'],
+      expiry:    ['expiry', 'expiry date', 'expiration', 'expiration date', 'best before'],
+      lot:       ['lot', 'lot number', 'lot code', 'batch']
+    };
+
+    const columns = {};
+    header.forEach((cell, index) => {
+      const name  = cell.trim().toLowerCase();
+      const field = Object.keys(aliases).find(f => aliases[f].includes(name));
+      if (field && columns[field] === undefined) columns[field] = index;
+    });
+
+    return columns.fnsku !== undefined || columns.sku !== undefined ? columns : null;
+  }
+
+  _renderBulkTable() {
+    const table    = document.getElementById('bulk-table');
+    const generate = document.getElementById('bulk-generate');
+    if (!table) return;
+
+    const valid = this.bulkRows.filter(r => Object.keys(r.errors).length === 0);
+    if (generate) generate.disabled = valid.length === 0;
+
+    if (this.bulkRows.length === 0) {
+      table.innerHTML = '';
+      return;
+    }
+
+    const esc = (v) => String(v).replace(/[&<>"]/g, ch =>
+      ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]
+    );
+
+    const rows = this.bulkRows.map(({ data, errors }, i) => {
+      const messages = Object.values(errors);
+      const status   = messages.length
+        ? `<span class="bulk-status invalid" title="${esc(messages.join('\n'))}">✕ ${esc(messages[0])}</span>`
+        : data.fnsku
+          ? '<span class="bulk-status valid">✓</span>'
+          : '<span class="bulk-status valid" title="No FNSKU given — the catalog must have one">✓ catalog</span>';
+      return `
+        <tr class="${messages.length ? 'invalid' : ''}">
+          <td>${i + 1}</td>
+          <td class="${errors.sku ? 'error' : ''}">${esc(data.sku)}</td>
+          <td class="${errors.fnsku ? 'error' : ''}">${esc(data.fnsku)}</td>
+          <td class="${errors.quantity ? 'error' : ''}">${isNaN(data.quantity) ? '?' : data.quantity}</td>
+          <td>${status}</td>
+        </tr>`;
+    }).join('');
+
+    const totalLabels = valid.reduce((sum, r) => sum + r.data.quantity, 0);
+    table.innerHTML = `
+      <table>
+        <thead><tr><th>#</th><th>SKU</th><th>FNSKU</th><th>Qty</th><th></th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <div class="bulk-summary">
+        ${valid.length} of ${this.bulkRows.length} rows valid · ${totalLabels} label(s)
+      </div>`;
+  }
+
+  async _generateBulkLabels() {
+    const valid = this.bulkRows.filter(r => Object.keys(r.errors).length === 0);
+    if (valid.length === 0) return;
+
+    const button = document.getElementById('bulk-generate');
+    if (button) button.disabled = true;
+
+    try {
+      const template = this._getManualTemplate();
+      const settings = this._readFormSettings();
+      const merged   = await this._recordInCatalog(valid.map(({ data }) => data));
+
+      // Validated again after the merge, which may supply an FNSKU the row
+      // lacks; rows still invalid are flagged in the table and skipped
+      const products = [];
+      merged.forEach((product, i) => {
+        const errors = this._validateProductData(product);
+        if (Object.keys(errors).length === 0) products.push(product);
+        else valid[i].errors = errors;
+      });
+      if (products.length === 0) throw new Error('No printable rows (FNSKU missing)');
+      if (!this._confirmBlankLabelFields(products, template)) return;
+
+      const items    = products.map(productData => ({ productData, quantity: productData.quantity }));
+
+      if (this._getVal('bulk-output-mode') === 'per-sku') {
+        for (const item of items) {
+          await this._saveLabelFile([item], settings, template, `${item.productData.sku}_label`);
+        }
+      } else {
+        await this._saveLabelFile(items, settings, template, `fnsku_labels_${items.length}_skus`);
+      }
+
+      const timestamp = new Date().toISOString();
+      for (const productData of products) {
+        await chrome.runtime.sendMessage({
+          action: 'addToDownloadHistory',
+          data: { ...productData, templateId: template.id, timestamp }
+        });
+      }
+      await this._loadDownloadHistory();
+
+      const total   = items.reduce((sum, item) => sum + item.quantity, 0);
+      const skipped = this.bulkRows.length - products.length;
+      this._showSuccess(
+        `Generated ${total} label(s) for ${items.length} SKU(s)` +
+        (skipped ? ` — ${skipped} invalid row(s) skipped` : '')
+      );
+    } catch (error) {
+      this._showError('Failed to generate labels: ' + error.message);
+    } finally {
+      this._renderBulkTable();
+    }
+  }
+
+  /**
+   * Ask before printing when the template shows an expiry date or lot number
+   * that some products (catalog data included) don't have.
+   * @returns {boolean} True to print
+   */
+  _confirmBlankLabelFields(products, template) {
+    const labels = { expiry: 'expiry date', lot: 'lot number' };
+    const blank  = ElementRegistry.templateFields(template)
+      .filter(field => labels[field])
+      .map(field => [field, products.filter(p => !String(p[field] ?? '').trim()).map(p => p.sku)])
+      .filter(([, skus]) => skus.length > 0);
+    if (blank.length === 0) return true;
+
+    const lines = blank.map(([field, skus]) => {
+      const more = skus.length > 5 ? ` and ${skus.length - 5} more` : '';
+      return `No ${labels[field]}: ${skus.slice(0, 5).join(', ')}${more}`;
+    });
+    return confirm(`This template prints ${blank.map(([field]) => labels[field]).join(' and ')}.\n${lines.join('\n')}\n\nPrint anyway?`);
+  }
+
+  _clearBulkImport() {
+    this._setVal('bulk-input', '');
+    this.bulkRows = [];
+    this._renderBulkTable();
+  }
+
+  // ─── Catalog ───────────────────────────────────────────────────────────────
+
+  /**
+   * Record manually entered products in the catalog and get them back
+   * merged with their entries. Printing goes ahead unmerged if that fails.
+   */
+  async _recordInCatalog(products) {
+    try {
+      const resp = await chrome.runtime.sendMessage({ action: 'recordProducts', products, source: 'manual' });
+      if (resp.success) return resp.data;
+      console.warn('Catalog update failed:', resp.error);
+    } catch (error) {
+      console.warn('Catalog update failed:', error);
+    }
+    return products;
+  }
+
+  async _searchCatalog() {
+    const resp = await chrome.runtime.sendMessage({
+      action: 'searchCatalog',
+      query:  this._getVal('catalog-search')
+    });
+    if (!resp.success) {
+      this._showError('Failed to search catalog: ' + resp.error);
+      return;
+    }
+    this.catalog = resp.data;
+    this._renderCatalogList();
+  }
+
+  _renderCatalogList() {
+    const list  = document.getElementById('catalog-list');
+    const count = document.getElementById('catalog-count');
+    if (!list) return;
+
+    const { products, total } = this.catalog;
+    if (count) {
+      count.textContent = products.length < total
+        ? `Showing ${products.length} of ${total} products`
+        : `${total} product${total !== 1 ? 's' : ''}`;
+    }
+
+    list.innerHTML = '';
+    if (products.length === 0) {
+      list.innerHTML = `
+        <div class="no-downloads">
+          <p>${this._getVal('catalog-search') ? 'No matching products' : 'No products yet'}</p>
+          <p class="hint">Products are added as you print labels</p>
+        </div>`;
+      return;
+    }
+
+    products.forEach(product => {
+      const item = document.createElement('div');
+      item.className = `download-item available catalog-item${product.sku === this.catalogSku ? ' selected' : ''}`;
+      item.innerHTML = `
+        <div class="download-info">
+          <div class="download-name"></div>
+          <div class="download-details"></div>
+        </div>
+      `;
+
+      const fields = Object.entries(product.fields).map(([name, value]) => `${name}: ${value}`);
+      item.querySelector('.download-name').textContent    = `${product.sku} · ${product.fnsku || '—'}`;
+      item.querySelector('.download-details').textContent = [product.title, ...fields].filter(Boolean).join(' · ');
+      item.addEventListener('click', () => this._openCatalogEditor(product.sku));
+      list.appendChild(item);
+    });
+  }
+
+  _openCatalogEditor(sku) {
+    const product = this.catalog.products.find(p => p.sku === sku);
+    if (!product) return;
+    this.catalogSku = sku;
+
+    document.getElementById('catalog-editor-sku').textContent = product.sku;
+    ['fnsku', 'asin', 'title', 'condition'].forEach(field => {
+      this._setVal(`catalog-${field}`, product[field] || '');
+    });
+
+    document.getElementById('catalog-field-names').replaceChildren(
+      ...this.catalog.suggestedFields.map(name => new Option('', name))
+    );
+    document.getElementById('catalog-fields').replaceChildren();
+    Object.entries(product.fields).forEach(([name, value]) => this._addCatalogFieldRow(name, value));
+
+    document.getElementById('catalog-editor').style.display = '';
+    this._renderCatalogList();
+  }
+
+  _addCatalogFieldRow(name, value) {
+    const row = document.createElement('div');
+    row.className = 'catalog-field-row';
+    row.innerHTML = `
+      <input type="text" class="form-input catalog-field-name" placeholder="name" list="catalog-field-names">
+      <input type="text" class="form-input catalog-field-value" placeholder="value">
+      <button type="button" class="remove-item-btn" title="Remove field">✕</button>
+    `;
+    row.querySelector('.catalog-field-name').value  = name;
+    row.querySelector('.catalog-field-value').value = value;
+    row.querySelector('.remove-item-btn').addEventListener('click', () => row.remove());
+    document.getElementById('catalog-fields').appendChild(row);
+    if (!name) row.querySelector('.catalog-field-name').focus();
+  }
+
+  _closeCatalogEditor() {
+    this.catalogSku = null;
+    document.getElementById('catalog-editor').style.display = 'none';
+    this._renderCatalogList();
+  }
+
+  async _saveCatalogProduct() {
+    const fields = {};
+    document.querySelectorAll('#catalog-fields .catalog-field-row').forEach(row => {
+      const name = row.querySelector('.catalog-field-name').value.trim();
+      if (name) fields[name] = row.querySelector('.catalog-field-value').value;
+    });
+
+    const changes = { fields };
+    ['fnsku', 'asin', 'title', 'condition'].forEach(field => {
+      changes[field] = this._getVal(`catalog-${field}`);
+    });
+    changes.fnsku = changes.fnsku.toUpperCase();
+    changes.asin  = changes.asin.toUpperCase();
+
+    const resp = await chrome.runtime.sendMessage({ action: 'updateCatalogProduct', sku: this.catalogSku, changes });
+    if (!resp.success) {
+      this._showError('Failed to save product: ' + resp.error);
+      return;
+    }
+
+    this._showSuccess(`Saved ${this.catalogSku}`);
+    this._closeCatalogEditor();
+    await this._searchCatalog();
+  }
+
+  async _deleteCatalogProduct() {
+    const sku = this.catalogSku;
+    if (!sku || !confirm(`Remove ${sku} and its fields from the catalog?`)) return;
+
+    const resp = await chrome.runtime.sendMessage({ action: 'deleteCatalogProduct', sku });
+    if (!resp.success) {
+      this._showError('Failed to delete product: ' + resp.error);
+      return;
+    }
+
+    this._closeCatalogEditor();
+    await this._searchCatalog();
+  }
+
+  // ─── Label Rules ───────────────────────────────────────────────────────────
+
+  _getLabelRules() {
+    return this.currentSettings.labelRules || [];
+  }
+
+  _renderRulesList() {
+    const list = document.getElementById('rules-list');
+    if (!list) return;
+
+    const rules = this._getLabelRules();
+    list.innerHTML = '';
+    if (rules.length === 0) {
+      list.innerHTML = '<p class="rules-empty">No rules — every product prints with the selected template</p>';
+      return;
+    }
+
+    const templateName = (id) => this._getTemplateById(id)?.name || `${id} (missing)`;
+    rules.forEach((rule, i) => {
+      const item = document.createElement('div');
+      item.className = `rule-item${rule.enabled === false ? ' disabled' : ''}`;
+      item.innerHTML = `
+        <input type="checkbox" class="rule-enabled" title="Enabled">
+        <span class="rule-text">
+          <span class="rule-name"></span>
+          <span class="rule-summary"></span>
+        </span>
+        <button class="template-btn rule-action-btn" data-move="-1" title="Move up">▲</button>
+        <button class="template-btn rule-action-btn" data-move="1" title="Move down">▼</button>
+        <button class="template-btn rule-action-btn rule-edit-btn" title="Edit rule">✎</button>
+        <button class="remove-item-btn" title="Delete rule">✕</button>
+      `;
+      item.querySelector('.rule-enabled').checked   = rule.enabled !== false;
+      item.querySelector('.rule-name').textContent    = rule.name || `Rule ${i + 1}`;
+      item.querySelector('.rule-summary').textContent = LabelRules.describe(rule, templateName);
+      item.querySelector('.rule-summary').title       = LabelRules.describe(rule, templateName);
+      item.querySelectorAll('[data-move]').forEach(btn => {
+        const target = i + Number(btn.dataset.move);
+        btn.disabled = target < 0 || target >= rules.length;
+        btn.addEventListener('click', () => this._moveRule(i, target));
+      });
+
+      item.querySelector('.rule-enabled').addEventListener('change', (e) => {
+        this._saveLabelRules(rules.map(r => r.id === rule.id ? { ...r, enabled: e.target.checked } : r));
+      });
+      item.querySelector('.rule-edit-btn').addEventListener('click', () => this._openRuleEditor(rule.id));
+      item.querySelector('.remove-item-btn').addEventListener('click', () => {
+        if (!confirm(`Delete rule "${rule.name || `Rule ${i + 1}`}"?`)) return;
+        this._saveLabelRules(rules.filter(r => r.id !== rule.id));
+      });
+      list.appendChild(item);
+    });
+  }
+
+  _openRuleEditor(ruleId) {
+    const editor = document.getElementById('rule-editor');
+    if (!editor) return;
+
+    const rule = this._getLabelRules().find(r => r.id === ruleId) || { when: {} };
+    this.editingRuleId = rule.id || null;
+
+    document.getElementById('rule-conditions').innerHTML = Object.entries(LabelRules.conditions)
+      .map(([id, condition]) => `
+        <div class="setting-row">
+          <label for="rule-when-${id}">${condition.label}</label>
+          <input type="text" id="rule-when-${id}" class="setting-input setting-input-inline"
+            placeholder="${condition.placeholder}">
+        </div>
+      `).join('');
+    Object.keys(LabelRules.conditions).forEach(id => this._setVal(`rule-when-${id}`, rule.when?.[id] || ''));
+
+    const templateSelect = document.getElementById('rule-template');
+    templateSelect.innerHTML = '<option value="">Keep selected template</option>';
+    this.currentTemplates.forEach(template => {
+      const option       = document.createElement('option');
+      option.value       = template.id;
+      option.textContent = template.name;
+      templateSelect.appendChild(option);
+    });
+
+    this._setVal('rule-name',     rule.name || '');
+    this._setVal('rule-template', rule.templateId || '');
+    this._setVal('rule-quantity', rule.quantity || '');
+    this._setVal('rule-text',     rule.text || '');
+    editor.style.display = '';
+    document.getElementById('rule-name')?.focus();
+  }
+
+  _closeRuleEditor() {
+    this.editingRuleId = null;
+    const editor = document.getElementById('rule-editor');
+    if (editor) editor.style.display = 'none';
+  }
+
+  async _saveRuleFromEditor() {
+    const rules    = this._getLabelRules();
+    const existing = rules.find(r => r.id === this.editingRuleId);
+    const quantity = parseInt(this._getVal('rule-quantity'));
+
+    const rule = {
+      id:         existing?.id || `rule_${Date.now()}`,
+      name:       this._getVal('rule-name').trim(),
+      enabled:    existing ? existing.enabled !== false : true,
+      when:       Object.fromEntries(Object.keys(LabelRules.conditions)
+        .map(id => [id, this._getVal(`rule-when-${id}`).trim()])
+        .filter(([, value]) => value)),
+      templateId: this._getVal('rule-template') || '',
+      quantity:   quantity > 0 ? quantity : null,
+      text:       this._getVal('rule-text').trim()
+    };
+
+    const updated = existing
+      ? rules.map(r => r.id === rule.id ? rule : r)
+      : [...rules, rule];
+    if (await this._saveLabelRules(updated)) this._closeRuleEditor();
+  }
+
+  _moveRule(from, to) {
+    const rules = [...this._getLabelRules()];
+    const [rule] = rules.splice(from, 1);
+    rules.splice(to, 0, rule);
+    this._saveLabelRules(rules);
+  }
+
+  /**
+   * Save the whole ordered rule list. Invalid lists are rejected by the
+   * background and nothing changes.
+   * @returns {boolean} Whether the rules were saved
+   */
+  async _saveLabelRules(rules) {
+    const resp = await chrome.runtime.sendMessage({ action: 'saveLabelRules', rules });
+    if (!resp.success) {
+      this._showError(resp.error);
+      this._renderRulesList(); // undo an optimistic checkbox toggle
+      return false;
+    }
+
+    this.currentSettings.labelRules = rules;
+    this._renderRulesList();
+    return true;
+  }
+
+  // ─── Fonts ─────────────────────────────────────────────────────────────────
+
+  async _loadFonts() {
+    const resp = await chrome.runtime.sendMessage({ action: 'getFonts', includeData: true });
+    this.fonts = resp.success ? resp.data : [];
+    FontRegistry.setAvailable(this.fonts);
+    this._renderFontsList();
+  }
+
+  _renderFontsList() {
+    const list = document.getElementById('fonts-list');
+    if (!list) return;
+
+    if (this.fonts.length === 0) {
+      list.innerHTML = '<p class="fonts-empty">Built-in fonts only — import a TTF for Japanese, Hindi or other non-Latin text</p>';
+      return;
+    }
+
+    // Family and file names come from the user's font files
+    list.innerHTML = '';
+    for (const font of this.fonts) {
+      const item = document.createElement('div');
+      item.className = 'font-item';
+      item.innerHTML = `
+        <span class="font-family"></span>
+        <span class="font-meta"></span>
+        <button class="remove-item-btn" title="Delete font">✕</button>
+      `;
+      item.querySelector('.font-family').textContent = font.family;
+      item.querySelector('.font-meta').textContent   = `${font.fileName} · ${Math.round(font.size / 1024)} KB`;
+      item.querySelector('.remove-item-btn').addEventListener('click', () => this._deleteFont(font.id));
+      list.appendChild(item);
+    }
+  }
+
+  async _importFont(input) {
+    const file = input.files?.[0];
+    if (!file) return;
+
+    try {
+      const family = prompt('Font family name:', file.name.replace(/\.[^.]+$/, ''));
+      if (family === null) return;
+
+      const data = await this._readFileAsBase64(file);
+      const resp = await chrome.runtime.sendMessage({
+        action: 'importFont',
+        fontData: { family, fileName: file.name, data }
+      });
+      if (!resp.success) throw new Error(resp.error);
+
+      await this._loadFonts();
+      this._renderInspector();
+      this._schedulePreview();
+      this._showSuccess(`Font "${resp.data.family}" imported`);
+    } catch (error) {
+      this._showError('Failed to import font: ' + error.message);
+    } finally {
+      input.value = ''; // allow re-selecting the same file
+    }
+  }
+
+  async _deleteFont(fontId) {
+    const font = this.fonts.find(f => f.id === fontId);
+    if (!font || !confirm(`Delete font "${font.family}"? Elements using it fall back to Helvetica.`)) return;
+
+    const resp = await chrome.runtime.sendMessage({ action: 'deleteFont', fontId });
+    if (!resp.success) {
+      this._showError('Failed to delete font: ' + resp.error);
+      return;
+    }
+
+    await this._loadFonts();
+    this._renderInspector();
+    this._schedulePreview();
+  }
+
+  _readFileAsBase64(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      // Data URL is "data:<mime>;base64,<data>" — keep only the payload
+      reader.onload  = () => resolve(String(reader.result).split(',')[1] || '');
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+  }
+
+  // ─── Backup ────────────────────────────────────────────────────────────────
+
+  async _createBackup() {
+    const resp = await chrome.runtime.sendMessage({ action: 'createBackup' });
+    if (!resp.success) {
+      this._showError('Failed to create backup: ' + resp.error);
+      return;
+    }
+
+    const json = JSON.stringify(resp.data, null, 2);
+    const url  = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const date = resp.data.createdAt.slice(0, 10);
+
+    const a = document.createElement('a');
+    a.href     = url;
+    a.download = `fnsku-labels-backup-${date}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 5000);
+  }
+
+  /**
+   * Read a backup file and show what restoring it would change. Nothing is
+   * written until the restore is applied from the panel.
+   */
+  async _openBackup(input) {
+    const file = input.files?.[0];
+    if (!file) return;
+
+    try {
+      try {
+        this.pendingBackup = JSON.parse(await file.text());
+      } catch {
+        throw new Error(`${file.name} is not valid JSON`);
+      }
+      await this._previewRestore('merge');
+    } catch (error) {
+      this._closeRestorePanel();
+      this._showError('Failed to read backup: ' + error.message);
+    } finally {
+      input.value = ''; // allow re-selecting the same file
+    }
+  }
+
+  /**
+   * Dry-run the pending restore in the given mode and render its summary.
+   */
+  async _previewRestore(mode) {
+    const resp = await chrome.runtime.sendMessage({
+      action: 'restoreBackup', backup: this.pendingBackup, mode, dryRun: true
+    });
+    if (!resp.success) throw new Error(resp.error);
+
+    const panel   = document.getElementById('restore-panel');
+    const summary = resp.data;
+    const list    = (names) => names.length > 3 ? `${names.slice(0, 3).join(', ')} +${names.length - 3}` : names.join(', ');
+
+    // Names and keys come from the backup file, so they only ever go in as text
+    const lines = [];
+    const add   = (text, warning = false) => lines.push({ text, warning });
+    if (summary.templates.added.length)   add(`Add ${summary.templates.added.length} template(s): ${list(summary.templates.added)}`);
+    if (summary.templates.updated.length) add(`Update ${summary.templates.updated.length} template(s): ${list(summary.templates.updated)}`);
+    if (summary.templates.removed.length) add(`Delete ${summary.templates.removed.length} template(s): ${list(summary.templates.removed)}`, true);
+    if (summary.settings.changed.length)  add(`Change settings: ${list(summary.settings.changed)}`);
+    if (summary.extensionState.changed)   add('Switch the extension on/off state');
+    if (summary.history.added)            add(`Add ${summary.history.added} history entries`);
+    if (summary.history.removed)          add(`Drop ${summary.history.removed} history entries`, true);
+    if (summary.catalog.added)            add(`Add ${summary.catalog.added} catalog product(s)`);
+    if (summary.catalog.updated)          add(`Update corrections and fields of ${summary.catalog.updated} catalog product(s)`);
+    if (summary.catalog.cleared)          add(`Clear corrections and fields of ${summary.catalog.cleared} catalog product(s)`, true);
+
+    panel.innerHTML = `
+      <div class="restore-mode">
+        <label for="restore-mode">Restore as</label>
+        <select id="restore-mode" class="setting-input">
+          <option value="merge" ${mode === 'merge' ? 'selected' : ''}>Merge with current</option>
+          <option value="replace" ${mode === 'replace' ? 'selected' : ''}>Replace everything</option>
+        </select>
+      </div>
+      <div class="restore-buttons">
+        <button class="secondary-btn backup-btn restore-cancel">Cancel</button>
+        <button class="primary-btn backup-btn restore-apply" ${lines.length ? '' : 'disabled'}>Restore</button>
+      </div>`;
+
+    let body;
+    if (lines.length) {
+      body = document.createElement('ul');
+      body.append(...lines.map(({ text, warning }) => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        if (warning) item.className = 'restore-warning';
+        return item;
+      }));
+    } else {
+      body = document.createElement('p');
+      body.textContent = 'Nothing would change.';
+    }
+    body.className = 'restore-summary';
+    panel.querySelector('.restore-buttons').before(body);
+    panel.style.display = '';
+
+    panel.querySelector('#restore-mode').addEventListener('change', (e) => {
+      this._previewRestore(e.target.value).catch(error => this._showError('Failed to read backup: ' + error.message));
+    });
+    panel.querySelector('.restore-cancel').addEventListener('click', () => this._closeRestorePanel());
+    panel.querySelector('.restore-apply').addEventListener('click', () => this._applyRestore(mode));
+  }
+
+  async _applyRestore(mode) {
+    if (mode === 'replace' && !confirm('Replace all settings, custom templates, history and catalog edits with this backup?')) return;
+
+    // A pending autosave would write over the restored state
+    clearTimeout(this._saveTimeout);
+    this._showSavingIndicator(false);
+
+    const resp = await chrome.runtime.sendMessage({
+      action: 'restoreBackup', backup: this.pendingBackup, mode, dryRun: false
+    });
+    if (!resp.success) {
+      this._showError('Restore failed: ' + resp.error);
+      return;
+    }
+
+    this._closeRestorePanel();
+    this.history.clear(); // undo steps refer to templates that may have changed
+    await this._loadMarketplaces();
+    await this._loadStateFromBackground();
+    await this._loadDownloadHistory();
+    this._populateSettingsPanel();
+    this._schedulePreview();
+    this._showSuccess('Backup restored');
+  }
+
+  _closeRestorePanel() {
+    this.pendingBackup = null;
+    const panel = document.getElementById('restore-panel');
+    if (panel) {
+      panel.style.display = 'none';
+      panel.innerHTML = '';
+    }
+  }
+
   // ─── Download History ──────────────────────────────────────────────────────
 
   async _loadDownloadHistory() {